@@ -11,8 +11,157 @@
  * 
  * Or via npx:
  *   npx @beeboo/mcp-server
+ * 
+ * Serve over HTTP (Streamable HTTP on /mcp, legacy SSE on /sse):
+ *   BEEBOO_API_KEY=bb_sk_xxx BEEBOO_MCP_AUTH_TOKEN=secret node index.js --http --port 3000
+ * 
+ * Use a named profile from .beeboo.json or ~/.beeboo/config.json:
+ *   node index.js --profile staging
+ * 
+ * Check an audit log's hash chain (defaults to the configured audit file):
+ *   node index.js verify-audit [file]
+ * 
+ * Sync a directory of Markdown files with a knowledge namespace:
+ *   node index.js sync ./runbooks [--direction import|export|both] [--dry-run] [--namespace ops]
  */
 
 import { startServer } from './src/server.js';
+import { loadConfig } from './src/config.js';
+import { verifyAuditLog } from './src/audit.js';
+import { syncKnowledge, syncResultView } from './src/sync.js';
+import { renderView } from './src/format.js';
+
+/**
+ * Parse command-line flags, falling back to environment variables
+ */
+// Options that take the next argument as their value, unless written as --flag=value
+const VALUE_OPTIONS = new Set(['--transport', '--host', '--port', '--allowed-hosts', '--profile', '--config', '--api-url', '--namespace', '--format']);
+
+function parseOptions(argv, env) {
+  const options = {
+    transport: env.BEEBOO_MCP_TRANSPORT || 'stdio',
+    host: env.BEEBOO_MCP_HOST || '127.0.0.1',
+    port: env.BEEBOO_MCP_PORT ? Number(env.BEEBOO_MCP_PORT) : 3000,
+    authToken: env.BEEBOO_MCP_AUTH_TOKEN,
+    allowedHosts: env.BEEBOO_MCP_ALLOWED_HOSTS?.split(',').map(h => h.trim()).filter(Boolean),
+    profile: undefined,
+    configPath: undefined,
+    overrides: {},
+  };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const eq = arg.indexOf('=');
+    const flag = eq === -1 ? arg : arg.slice(0, eq);
+    const value = () => (eq === -1 ? argv[++i] : arg.slice(eq + 1));
+    
+    switch (flag) {
+      case '--http': options.transport = 'http'; break;
+      case '--stdio': options.transport = 'stdio'; break;
+      case '--transport': options.transport = value(); break;
+      case '--host': options.host = value(); break;
+      case '--port': options.port = Number(value()); break;
+      case '--allowed-hosts': options.allowedHosts = value().split(',').map(h => h.trim()).filter(Boolean); break;
+      case '--profile': options.profile = value(); break;
+      case '--config': options.configPath = value(); break;
+      case '--api-url': options.overrides.apiUrl = value(); break;
+      case '--namespace': options.overrides.namespace = value(); break;
+      case '--no-cache': options.overrides.cache = { enabled: false }; break;
+      case '--format': options.overrides.format = value(); break;
+      default:
+        console.error(`Unknown option: ${arg}`);
+        process.exit(1);
+    }
+  }
+  
+  if (!['stdio', 'http'].includes(options.transport)) {
+    console.error(`Unknown transport: ${options.transport} (expected stdio or http)`);
+    process.exit(1);
+  }
+  if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+    console.error(`Invalid port: ${options.port}`);
+    process.exit(1);
+  }
+  
+  return options;
+}
+
+/**
+ * Verify an audit log and exit 0 if its hash chain is intact, 1 if not
+ */
+function verifyAudit(args) {
+  let file = args[0];
+  try {
+    file = file || loadConfig().audit?.file;
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  
+  if (!file) {
+    console.error('No audit log given and none configured (set BEEBOO_AUDIT_FILE or audit.file)');
+    process.exit(1);
+  }
+  
+  let result;
+  try {
+    result = verifyAuditLog(file);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  
+  if (!result.ok) {
+    console.error(`Audit log ${file} has been tampered with: ${result.error} (${result.records} records verified before it)`);
+    process.exit(1);
+  }
+  console.log(`Audit log ${file} is intact: ${result.records} records verified`);
+}
+
+/**
+ * Sync a Markdown directory with the knowledge base; exits 1 if any change failed
+ */
+async function sync(args) {
+  let dir;
+  let direction = 'both';
+  let dryRun = false;
+  const rest = [];
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--dry-run') dryRun = true;
+    else if (arg === '--direction') direction = args[++i];
+    else if (arg.startsWith('--direction=')) direction = arg.slice('--direction='.length);
+    else if (VALUE_OPTIONS.has(arg)) rest.push(arg, args[++i]);
+    else if (!arg.startsWith('-') && dir === undefined) dir = arg;
+    else rest.push(arg);
+  }
+  
+  if (!dir) {
+    console.error('Usage: beeboo-mcp-server sync <dir> [--direction import|export|both] [--dry-run] [--namespace <ns>]');
+    process.exit(1);
+  }
+  
+  // Config flags (--profile, --config, --api-url, --namespace, --no-cache, --format) work as for the server
+  const options = parseOptions(rest, process.env);
+  
+  try {
+    const config = loadConfig({ profile: options.profile, configPath: options.configPath, overrides: options.overrides });
+    const result = await syncKnowledge({ dir, direction, dryRun });
+    console.log(renderView(syncResultView(result), config.format, result));
+    if (result.changes.some(c => c.error)) process.exit(1);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+const argv = process.argv.slice(2);
 
-startServer();
+if (argv[0] === 'verify-audit') {
+  verifyAudit(argv.slice(1));
+} else if (argv[0] === 'sync') {
+  sync(argv.slice(1));
+} else {
+  startServer(parseOptions(argv, process.env));
+}
@@ -2,41 +2,145 @@
  * api.js — HTTP client for the BeeBoo API
  * 
  * Zero dependencies beyond Node.js built-ins.
- * Reads config from environment: BEEBOO_API_KEY, BEEBOO_API_URL
+ * Reads the API URL, key, timeout and retry count from config.js.
  */
 
 import https from 'https';
 import http from 'http';
+import { randomUUID } from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { getConfig } from './config.js';
+import { lookup, store, invalidate } from './cache.js';
+import { acquire, pause, formatBudget } from './limiter.js';
 
-const DEFAULT_API_URL = 'https://beeboo-api-625726065149.us-central1.run.app';
 const USER_AGENT = '@beeboo/mcp-server/0.1.0';
 
+// Retry policy
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRY_AFTER_STATUSES = [429, 503];
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 10000;
+const RETRY_AFTER_MAX_MS = 60000;
+
+// Collects the requests made within withRequestLog(), for the audit log
+const requestLog = new AsyncLocalStorage();
+
+/**
+ * Run fn, appending {method, path, status, attempts} to calls for every
+ * API request it makes (status is null when the request failed outright)
+ * @param {object[]} calls - Array to append to
+ * @param {() => Promise<any>} fn
+ */
+export function withRequestLog(calls, fn) {
+  return requestLog.run(calls, fn);
+}
+
 /**
- * Get API configuration from environment
+ * Get the API settings, requiring an API key
  */
-function getConfig() {
-  const apiKey = process.env.BEEBOO_API_KEY;
-  const apiUrl = process.env.BEEBOO_API_URL || DEFAULT_API_URL;
+function getApiConfig() {
+  const config = getConfig();
   
-  if (!apiKey) {
-    throw new Error('BEEBOO_API_KEY environment variable is required');
+  if (!config.apiKey) {
+    throw new Error('No BeeBoo API key configured: set BEEBOO_API_KEY or apiKey/apiKeyCommand in a config profile');
   }
   
-  return { apiKey, apiUrl };
+  return config;
 }
 
 /**
  * Make an HTTP request to the BeeBoo API
+ * 
+ * Idempotent methods, and POSTs carrying an idempotency key, are retried
+ * on network errors and transient statuses with jittered exponential
+ * backoff. Retry-After is honored on 429 and 503.
+ * 
+ * GETs, and requests marked `cache`, go through the response cache
+ * (cache.js); other successful requests invalidate it.
+ * 
+ * Every attempt that reaches the network waits its turn under the shared
+ * client-side rate limit (limiter.js).
  * @param {string} method - HTTP method
  * @param {string} path - API path (e.g., /api/v1/knowledge/entries)
  * @param {object} [body] - Request body (will be JSON-encoded)
  * @param {object} [query] - Query parameters
- * @returns {Promise<{status: number, data: any, raw: string}>}
+ * @param {object} [options]
+ * @param {string} [options.idempotencyKey] - Sent as Idempotency-Key; makes the request safe to retry
+ * @param {boolean} [options.retry] - Retry a non-idempotent method that is known to be side-effect free
+ * @param {boolean} [options.cache] - Cache a non-GET read (e.g. search)
+ * @returns {Promise<{status: number, headers: object, data: any, raw: string, cached?: boolean}>}
  */
-export function request(method, path, body = null, query = null) {
-  return new Promise((resolve, reject) => {
-    const { apiKey, apiUrl } = getConfig();
+export async function request(method, path, body = null, query = null, options = {}) {
+  const config = getApiConfig();
+  const canRetry = IDEMPOTENT_METHODS.includes(method) || Boolean(options.idempotencyKey) || options.retry === true;
+  const maxAttempts = canRetry ? config.retries + 1 : 1;
+  const log = (status, attempts, extra) => requestLog.getStore()?.push({ method, path, status, attempts, ...extra });
+  
+  const cacheable = method === 'GET' || options.cache === true;
+  const hit = cacheable ? lookup(config, method, path, query, body) : null;
+  if (hit?.fresh) {
+    log(hit.fresh.status, 0, { cached: true });
+    return { ...hit.fresh, cached: true };
+  }
+  // Revalidate a stale GET; conditional POSTs mean something else
+  const ifNoneMatch = method === 'GET' ? hit?.etag : null;
+  
+  const finish = (res) => {
+    if (hit) return store(config, hit, res);
+    if (!cacheable && isOk(res)) invalidate(config, path);
+    return res;
+  };
+  
+  for (let attempt = 1; ; attempt++) {
+    let res;
+    let release;
+    try {
+      release = await acquire();
+      res = await send(config, method, path, body, query, { ...options, ifNoneMatch });
+    } catch (err) {
+      if (!err.retryable || attempt >= maxAttempts) {
+        log(null, attempt);
+        throw err;
+      }
+      await delay(backoffDelay(attempt));
+      continue;
+    } finally {
+      release?.();
+    }
     
+    // Hold every queued request, not just this one, until BeeBoo allows more
+    if (res.status === 429) {
+      const retryAfter = parseRetryAfter(res.headers['retry-after']);
+      if (retryAfter !== null) pause(Math.min(retryAfter, RETRY_AFTER_MAX_MS));
+    }
+    
+    if (!RETRYABLE_STATUSES.includes(res.status) || attempt >= maxAttempts) {
+      log(res.status, attempt);
+      return finish(res);
+    }
+    
+    let wait = backoffDelay(attempt);
+    if (RETRY_AFTER_STATUSES.includes(res.status)) {
+      const retryAfter = parseRetryAfter(res.headers['retry-after']);
+      if (retryAfter !== null) {
+        // Don't stall the agent for minutes; surface the response instead
+        if (retryAfter > RETRY_AFTER_MAX_MS) {
+          log(res.status, attempt);
+          return finish(res);
+        }
+        wait = retryAfter;
+      }
+    }
+    await delay(wait);
+  }
+}
+
+/**
+ * Make a single HTTP request attempt
+ */
+function send({ apiKey, apiUrl, timeoutMs }, method, path, body, query, options) {
+  return new Promise((resolve, reject) => {
     // Build URL with query params
     let fullUrl = apiUrl + path;
     if (query) {
@@ -62,6 +166,13 @@ export function request(method, path, body = null, query = null) {
       'Authorization': `Bearer ${apiKey}`,
     };
     
+    if (options.idempotencyKey) {
+      headers['Idempotency-Key'] = options.idempotencyKey;
+    }
+    if (options.ifNoneMatch) {
+      headers['If-None-Match'] = options.ifNoneMatch;
+    }
+    
     let bodyStr = null;
     if (body) {
       bodyStr = JSON.stringify(body);
@@ -74,7 +185,7 @@ export function request(method, path, body = null, query = null) {
       path: parsed.pathname + parsed.search,
       method: method,
       headers: headers,
-      timeout: 30000,
+      timeout: timeoutMs,
     };
     
     const req = lib.request(reqOpts, (res) => {
@@ -85,10 +196,16 @@ export function request(method, path, body = null, query = null) {
         try {
           parsed = JSON.parse(data);
         } catch {
+          // A truncated or garbled success body is a failure, not data
+          if (data && res.statusCode >= 200 && res.statusCode < 300) {
+            reject(retryableError('Invalid JSON in API response'));
+            return;
+          }
           parsed = data;
         }
         resolve({
           status: res.statusCode,
+          headers: res.headers,
           data: parsed,
           raw: data,
         });
@@ -96,12 +213,12 @@ export function request(method, path, body = null, query = null) {
     });
     
     req.on('error', (err) => {
-      reject(new Error(`Network error: ${err.message}`));
+      reject(retryableError(`Network error: ${err.message}`));
     });
     
     req.on('timeout', () => {
       req.destroy();
-      reject(new Error('Request timed out (30s)'));
+      reject(retryableError(`Request timed out (${timeoutMs / 1000}s)`));
     });
     
     if (bodyStr) {
@@ -111,38 +228,92 @@ export function request(method, path, body = null, query = null) {
   });
 }
 
+/**
+ * Full-jitter exponential backoff for the given (1-based) attempt
+ */
+function backoffDelay(attempt) {
+  const ceiling = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+  
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(date - Date.now(), 0);
+}
+
+function retryableError(message) {
+  const err = new Error(message);
+  err.retryable = true;
+  return err;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Request options for a POST that creates something: a fresh
+ * Idempotency-Key lets the API drop duplicates of a retried call
+ */
+function idempotent() {
+  return { idempotencyKey: randomUUID() };
+}
+
 // API helper functions
 export const api = {
   get: (path, query) => request('GET', path, null, query),
-  post: (path, body, query) => request('POST', path, body, query),
+  post: (path, body, query, options) => request('POST', path, body, query, options),
   patch: (path, body, query) => request('PATCH', path, body, query),
   delete: (path, query) => request('DELETE', path, null, query),
   
   // Knowledge
   searchKnowledge: (query, opts = {}) => 
-    api.post('/api/v1/knowledge/search', { query, limit: opts.limit || 10, ...opts }),
+    api.post('/api/v1/knowledge/search', { query, limit: opts.limit || 10, ...opts }, null, { retry: true, cache: true }),
   listKnowledgeEntries: (query) => 
     api.get('/api/v1/knowledge/entries', query),
   createKnowledgeEntry: (entry) => 
-    api.post('/api/v1/knowledge/entries', entry),
+    api.post('/api/v1/knowledge/entries', entry, null, idempotent()),
+  listKnowledgeNamespaces: () => 
+    api.get('/api/v1/knowledge/namespaces'),
   getKnowledgeEntry: (id) => 
-    api.get(`/api/v1/knowledge/entries/${id}`),
+    api.get(`/api/v1/knowledge/entries/${encodeURIComponent(id)}`),
+  updateKnowledgeEntry: (id, patch) => 
+    api.patch(`/api/v1/knowledge/entries/${encodeURIComponent(id)}`, patch),
+  deleteKnowledgeEntry: (id) => 
+    api.delete(`/api/v1/knowledge/entries/${encodeURIComponent(id)}`),
   
   // Approvals
   submitApproval: (data) => 
-    api.post('/api/v1/approvals', data),
+    api.post('/api/v1/approvals', data, null, idempotent()),
   listApprovals: (query) => 
     api.get('/api/v1/approvals', query),
   getApproval: (id) => 
-    api.get(`/api/v1/approvals/${id}`),
+    api.get(`/api/v1/approvals/${encodeURIComponent(id)}`),
+  decideApproval: (id, decision) => 
+    api.post(`/api/v1/approvals/${encodeURIComponent(id)}/decision`, decision, null, idempotent()),
+  cancelApproval: (id, data) => 
+    api.post(`/api/v1/approvals/${encodeURIComponent(id)}/cancel`, data, null, idempotent()),
   
   // Requests
   createRequest: (data) => 
-    api.post('/api/v1/requests', data),
+    api.post('/api/v1/requests', data, null, idempotent()),
   listRequests: (query) => 
     api.get('/api/v1/requests', query),
   getRequest: (id) => 
-    api.get(`/api/v1/requests/${id}`),
+    api.get(`/api/v1/requests/${encodeURIComponent(id)}`),
+  updateRequest: (id, patch) => 
+    api.patch(`/api/v1/requests/${encodeURIComponent(id)}`, patch),
+  assignRequest: (id, assignee) => 
+    api.patch(`/api/v1/requests/${encodeURIComponent(id)}`, { assignee }),
+  commentOnRequest: (id, comment) => 
+    api.post(`/api/v1/requests/${encodeURIComponent(id)}/comments`, comment, null, idempotent()),
 };
 
 /**
@@ -161,13 +332,56 @@ export function getData(res) {
 }
 
 /**
- * Extract error message from standard { error: { message: ... } } response
+ * Extract one page of a list response: the items plus the cursor for the
+ * next page and the total count, when the API provides them
+ * @returns {{items: any[], nextCursor: string|null, total: number|null}}
+ */
+export function getPage(res) {
+  const data = getData(res);
+  const items = Array.isArray(data) ? data : (data?.items || []);
+  const meta = res.data?.pagination || res.data?.meta || {};
+  
+  return {
+    items: Array.isArray(items) ? items : [],
+    nextCursor: meta.next_cursor ?? res.data?.next_cursor ?? data?.next_cursor ?? null,
+    total: meta.total ?? res.data?.total ?? null,
+  };
+}
+
+/**
+ * Extract error message from standard { error: { message: ... } } response;
+ * a 429 also reports the remaining rate-limit budget
  */
 export function getError(res) {
+  const message = errorMessage(res);
+  if (res.status === 429) return `${message} (${describeThrottle(res)})`;
+  return message;
+}
+
+function errorMessage(res) {
   if (res.data?.error?.message) return res.data.error.message;
   if (res.data?.error) return typeof res.data.error === 'string' ? res.data.error : JSON.stringify(res.data.error);
   if (typeof res.data === 'string') return res.data;
   return `HTTP ${res.status}`;
 }
 
+/**
+ * The remaining budget for a throttled call, as far as BeeBoo and the
+ * client-side limiter report it
+ */
+function describeThrottle(res) {
+  const parts = [];
+  const remaining = res.headers['x-ratelimit-remaining'];
+  if (remaining !== undefined) {
+    const limit = res.headers['x-ratelimit-limit'];
+    parts.push(`BeeBoo budget: ${remaining}${limit !== undefined ? ` of ${limit}` : ''} requests left`);
+  }
+  const retryAfter = parseRetryAfter(res.headers['retry-after']);
+  if (retryAfter !== null) {
+    parts.push(`retry in ${Math.ceil(retryAfter / 1000)}s`);
+  }
+  parts.push(`client budget: ${formatBudget()}`);
+  return parts.join('; ');
+}
+
 export default api;
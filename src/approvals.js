@@ -0,0 +1,311 @@
+/**
+ * approvals.js — Approval statuses, and asking for and waiting on human decisions
+ * 
+ * Every tool, resource and the policy layer read approval states through
+ * the one status model here:
+ * 
+ *   pending   — waiting for a decision
+ *   approved  — the action may go ahead
+ *   denied    — a human said no (the API may report this as "rejected")
+ *   expired   — expires_at passed before a decision; enforced client-side
+ *               too, since the API may not flag it straight away
+ *   cancelled — withdrawn by the requester
+ */
+
+import { ElicitResultSchema } from '@modelcontextprotocol/sdk/types.js';
+import { api, isOk, getData, getError } from './api.js';
+import { onWebhookEvent } from './webhooks.js';
+
+export const APPROVAL_STATUSES = ['pending', 'approved', 'denied', 'expired', 'cancelled'];
+
+// Other spellings the API may use, mapped onto the model above
+const STATUS_ALIASES = {
+  rejected: 'denied',
+  declined: 'denied',
+  canceled: 'cancelled',
+  withdrawn: 'cancelled',
+  timed_out: 'expired',
+};
+
+// The API status to list by for each normalized status: denials are stored
+// as "rejected", and expired approvals may still be "pending"
+const API_STATUS_FILTERS = {
+  denied: 'rejected',
+  expired: 'pending',
+};
+
+const STATUS_ICONS = {
+  pending: '⏳',
+  approved: '✅',
+  denied: '❌',
+  expired: '⌛',
+  cancelled: '🚫',
+};
+
+// Polling schedule
+const WAIT_INITIAL_INTERVAL_MS = 2000;
+const WAIT_MAX_INTERVAL_MS = 30000;
+const WAIT_BACKOFF_FACTOR = 1.5;
+
+// How long the person at the client has to answer an elicited approval
+const ELICIT_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Form shown by clients that support elicitation
+const DECISION_SCHEMA = {
+  type: 'object',
+  properties: {
+    decision: {
+      type: 'string',
+      title: 'Decision',
+      enum: ['approve', 'deny'],
+      enumNames: ['Approve', 'Deny'],
+    },
+    note: {
+      type: 'string',
+      title: 'Note',
+      description: 'Optional; recorded in BeeBoo with the decision',
+    },
+  },
+  required: ['decision'],
+};
+
+/**
+ * An approval's status in the normalized model
+ * @param {object} approval - Approval as returned by the API
+ * @param {number} [now] - Current time, for expiry
+ * @returns {'pending'|'approved'|'denied'|'expired'|'cancelled'}
+ */
+export function normalizeStatus(approval, now = Date.now()) {
+  const raw = String(approval?.status || 'pending').toLowerCase();
+  const status = STATUS_ALIASES[raw] || (APPROVAL_STATUSES.includes(raw) ? raw : 'pending');
+  
+  if (status === 'pending' && approval?.expires_at && Date.parse(approval.expires_at) <= now) {
+    return 'expired';
+  }
+  return status;
+}
+
+/**
+ * An approval with its status normalized; the API's own value is kept
+ * as api_status when it differs
+ */
+export function normalizeApproval(approval) {
+  if (!approval) return approval;
+  const status = normalizeStatus(approval);
+  return status === approval.status
+    ? approval
+    : { ...approval, status, api_status: approval.status ?? null };
+}
+
+/**
+ * The status to ask the API for when listing approvals in a normalized
+ * status; the results still need filtering with normalizeStatus
+ */
+export function toApiStatus(status) {
+  return API_STATUS_FILTERS[status] || status;
+}
+
+export function approvalStatusIcon(status) {
+  return STATUS_ICONS[status] || STATUS_ICONS.pending;
+}
+
+/**
+ * Poll an approval with backoff until it is decided or the timeout expires.
+ * Sends MCP progress notifications while waiting and stops early if the
+ * request is cancelled. A webhook event for the approval triggers the
+ * next poll immediately.
+ * @param {string} id - Approval ID
+ * @param {number} timeoutMs - Maximum time to wait
+ * @param {object} [extra] - MCP request context (signal, progress token, notifications)
+ * @returns {Promise<{approval: object, result: object}>} The last approval seen
+ *   (normalized) and the terminal result: decision (approved, denied, expired,
+ *   cancelled or timeout), note, decided_by, decided_at, elapsed_ms and polls
+ */
+export async function waitForApproval(id, timeoutMs, extra = {}) {
+  const started = Date.now();
+  const deadline = started + timeoutMs;
+  let interval = WAIT_INITIAL_INTERVAL_MS;
+  let polls = 0;
+  let progress = -1;
+  
+  // Set when a webhook reports on this approval; wake ends the current sleep
+  let notified = false;
+  let wake = null;
+  const stopListening = onWebhookEvent((event) => {
+    if (event.type !== 'approval.decided' || String(event.data.id) !== String(id)) return;
+    notified = true;
+    wake?.();
+  });
+  
+  try {
+    while (true) {
+      notified = false;
+      const res = await api.getApproval(id);
+      polls++;
+      
+      if (!isOk(res)) {
+        if (res.status === 404) {
+          throw new Error(`Approval not found: ${id}`);
+        }
+        throw new Error(`Failed to check approval: ${getError(res)}`);
+      }
+      
+      const approval = normalizeApproval(getData(res));
+      const decision = getDecision(approval?.status);
+      const elapsed = Date.now() - started;
+      
+      if (decision || elapsed >= timeoutMs) {
+        const result = {
+          id,
+          decision: decision || 'timeout',
+          status: approval?.status || 'pending',
+          expires_at: approval?.expires_at || null,
+          note: approval?.decision_note || null,
+          decided_by: approval?.decided_by || null,
+          decided_at: approval?.decided_at || null,
+          elapsed_ms: elapsed,
+          polls,
+        };
+        return { approval, result };
+      }
+      
+      // Progress must increase with every notification: report fractional
+      // seconds, and skip a webhook-triggered re-poll in the same millisecond
+      if (elapsed / 1000 > progress) {
+        progress = elapsed / 1000;
+        await sendProgress(extra, progress, timeoutMs / 1000, `Waiting for decision on "${approval?.title || id}"`);
+      }
+      
+      // Wake up when the approval expires rather than up to a full interval later
+      const expiresIn = approval?.expires_at ? Date.parse(approval.expires_at) - Date.now() : Infinity;
+      if (!notified) {
+        await sleep(Math.min(interval, deadline - Date.now(), expiresIn), extra.signal, (resolve) => { wake = resolve; });
+        wake = null;
+      }
+      interval = Math.min(interval * WAIT_BACKOFF_FACTOR, WAIT_MAX_INTERVAL_MS);
+    }
+  } finally {
+    stopListening();
+  }
+}
+
+/**
+ * Whether the connected client can show an elicitation form
+ */
+export function canElicit(extra) {
+  const elicitation = extra?.clientCapabilities?.elicitation;
+  // Clients from before URL mode declare an empty object, meaning form
+  return Boolean(elicitation && (elicitation.form || !elicitation.url));
+}
+
+/**
+ * Ask the person at the connected client to decide an approval, and record
+ * their decision in BeeBoo so it has the same audit trail as a decision
+ * made in the dashboard. The approval stays pending for remote approvers
+ * whenever no decision is recorded.
+ * @param {object} approval - The submitted approval
+ * @param {string} message - What to show the user
+ * @param {object} [extra] - MCP request context (capabilities, sendRequest, signal)
+ * @returns {Promise<{outcome: 'recorded'|'dismissed'|'unsupported'|'failed', approval: object, error?: string}>}
+ *   `approval` is the latest state, normalized
+ */
+export async function elicitDecision(approval, message, extra = {}) {
+  if (!canElicit(extra) || !extra.sendRequest) {
+    return { outcome: 'unsupported', approval };
+  }
+  
+  const expiresIn = approval.expires_at ? Date.parse(approval.expires_at) - Date.now() : Infinity;
+  
+  let answer;
+  try {
+    answer = await extra.sendRequest(
+      { method: 'elicitation/create', params: { message, requestedSchema: DECISION_SCHEMA } },
+      ElicitResultSchema,
+      { signal: extra.signal, timeout: Math.max(Math.min(ELICIT_TIMEOUT_MS, expiresIn), 1) }
+    );
+  } catch (error) {
+    if (extra.signal?.aborted) throw error;
+    return { outcome: 'failed', approval, error: `the client could not ask: ${error.message}` };
+  }
+  
+  const decision = answer.content?.decision;
+  if (answer.action !== 'accept' || !['approve', 'deny'].includes(decision)) {
+    return { outcome: 'dismissed', approval };
+  }
+  
+  const note = typeof answer.content.note === 'string' && answer.content.note.trim() ? answer.content.note.trim() : undefined;
+  const status = decision === 'approve' ? 'approved' : 'denied';
+  const res = await api.decideApproval(approval.id, {
+    status,
+    note,
+    channel: 'mcp_elicitation',
+    client: extra.client ? { name: extra.client.name, version: extra.client.version } : undefined,
+  });
+  
+  if (!isOk(res)) {
+    return { outcome: 'failed', approval, error: `BeeBoo did not record the decision: ${getError(res)}` };
+  }
+  
+  // A 204, or a body that isn't the approval, still means the decision was recorded
+  const decided = getData(res);
+  return {
+    outcome: 'recorded',
+    approval: normalizeApproval(decided?.status ? decided : { ...approval, status, decision_note: note ?? null }),
+  };
+}
+
+/**
+ * The terminal decision for a normalized status, or null while pending
+ */
+export function getDecision(status) {
+  return status && status !== 'pending' ? status : null;
+}
+
+/**
+ * Send an MCP progress notification if the caller asked for progress
+ * @param {number} progress - Seconds waited so far
+ * @param {number} total - Seconds the wait may take
+ */
+async function sendProgress(extra, progress, total, message) {
+  const progressToken = extra._meta?.progressToken;
+  if (progressToken === undefined || !extra.sendNotification) return;
+  
+  await extra.sendNotification({
+    method: 'notifications/progress',
+    params: {
+      progressToken,
+      progress,
+      total,
+      message,
+    },
+  });
+}
+
+/**
+ * Sleep for the given time, rejecting early if the request is cancelled.
+ * onWake receives a function that ends the sleep early.
+ */
+function sleep(ms, signal, onWake) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error('Cancelled by client'));
+      return;
+    }
+    
+    const timer = setTimeout(done, Math.max(ms, 0));
+    
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }
+    
+    function onAbort() {
+      clearTimeout(timer);
+      reject(new Error('Cancelled by client'));
+    }
+    
+    signal?.addEventListener('abort', onAbort, { once: true });
+    onWake?.(done);
+  });
+}
@@ -0,0 +1,229 @@
+/**
+ * audit.js — Append-only audit log of tool invocations
+ *
+ * Writes one JSONL record per tool call: timestamp, tool, validated
+ * arguments (with configured fields redacted), the BeeBoo API calls made
+ * and their HTTP statuses, resulting IDs, duration and MCP client identity.
+ *
+ * Each record carries the hash of the previous one (`prev_hash`) and its
+ * own `hash` over its contents, so editing, removing or reordering
+ * records breaks the chain. The chain continues across size-based
+ * rotation (audit.jsonl -> audit.jsonl.1 -> ...).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { getConfig } from './config.js';
+import { withRequestLog } from './api.js';
+
+const GENESIS_HASH = '0'.repeat(64);
+const REDACTED = '[REDACTED]';
+const MAX_RECORDED_IDS = 100;
+
+// Hash of the last record written, by log file
+const lastHashes = new Map();
+
+/**
+ * Run a tool call, writing an audit record when it finishes
+ * @param {string} toolName - Tool being called
+ * @param {object} extra - MCP request context (client identity, session)
+ * @param {(record: object) => Promise<any>} fn - Runs the call; may set record.args
+ *   to the validated arguments
+ * @returns {Promise<any>} The result of fn
+ */
+export async function withAudit(toolName, extra, fn) {
+  const { audit } = getConfig();
+  const record = { args: null };
+  if (!audit?.file) return fn(record);
+
+  const started = Date.now();
+  const http = [];
+  let result;
+  let error;
+
+  try {
+    result = await withRequestLog(http, () => fn(record));
+    return result;
+  } catch (err) {
+    error = err;
+    throw err;
+  } finally {
+    try {
+      writeRecord(audit, {
+        ts: new Date(started).toISOString(),
+        tool: toolName,
+        args: redact(record.args, audit.redact || []),
+        outcome: error ? 'error' : 'ok',
+        ...(error && { error: error.message }),
+        http,
+        ids: error ? [] : collectIds(result?.data),
+        duration_ms: Date.now() - started,
+        client: {
+          name: extra?.client?.name || null,
+          version: extra?.client?.version || null,
+          session_id: extra?.sessionId || null,
+          auth_client_id: extra?.authInfo?.clientId || null,
+        },
+      });
+    } catch (err) {
+      // Never fail the tool call because auditing failed, but say so
+      console.error(`Audit log write failed: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Verify the hash chain of an audit log, oldest rotated file first
+ * @param {string} file - Path to the current audit log
+ * @returns {{ok: boolean, records: number, error?: string}}
+ * @throws {Error} If no log file exists
+ */
+export function verifyAuditLog(file) {
+  const files = listLogFiles(file).reverse();
+  if (files.length === 0) {
+    throw new Error(`Audit log not found: ${file}`);
+  }
+
+  // Only a rotated log may start mid-chain, once pruning has removed its
+  // oldest files; a log that never rotated must start at the genesis hash
+  let prev = files.length > 1 ? null : GENESIS_HASH;
+  let records = 0;
+
+  for (const f of files) {
+    const lines = fs.readFileSync(f, 'utf8').split('\n').filter(Boolean);
+
+    for (const [i, line] of lines.entries()) {
+      const where = `${path.basename(f)} line ${i + 1}`;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        return { ok: false, records, error: `${where}: not valid JSON` };
+      }
+
+      const { hash, ...body } = entry;
+      if (prev !== null && body.prev_hash !== prev) {
+        const expected = records === 0 ? 'the start of the chain (records before it were removed)' : 'the previous record';
+        return { ok: false, records, error: `${where}: prev_hash does not match ${expected}` };
+      }
+      if (hashRecord(body) !== hash) {
+        return { ok: false, records, error: `${where}: hash does not match the record contents` };
+      }
+
+      prev = hash;
+      records++;
+    }
+  }
+
+  return { ok: true, records };
+}
+
+/**
+ * Append a record to the log, chaining it to the previous one
+ */
+function writeRecord(audit, fields) {
+  const file = path.resolve(audit.file);
+
+  if (!lastHashes.has(file)) {
+    lastHashes.set(file, readLastHash(file));
+  }
+
+  const body = { ...fields, prev_hash: lastHashes.get(file) };
+  const line = JSON.stringify({ ...body, hash: hashRecord(body) }) + '\n';
+
+  rotateIfNeeded(file, Buffer.byteLength(line), audit);
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, line, { mode: 0o600 });
+  lastHashes.set(file, JSON.parse(line).hash);
+}
+
+/**
+ * Rotate file -> file.1 -> file.2 ... when the next write would exceed maxBytes
+ */
+function rotateIfNeeded(file, incoming, audit) {
+  const maxBytes = audit.maxBytes ?? 10 * 1024 * 1024;
+  const maxFiles = audit.maxFiles ?? 5;
+
+  let size;
+  try {
+    size = fs.statSync(file).size;
+  } catch {
+    return;
+  }
+  if (size === 0 || size + incoming <= maxBytes) return;
+
+  fs.rmSync(`${file}.${maxFiles}`, { force: true });
+  for (let i = maxFiles - 1; i >= 1; i--) {
+    if (fs.existsSync(`${file}.${i}`)) {
+      fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+    }
+  }
+  fs.renameSync(file, `${file}.1`);
+}
+
+/**
+ * Find the hash of the newest record on disk, to continue the chain
+ */
+function readLastHash(file) {
+  for (const f of listLogFiles(file)) {
+    const lines = fs.readFileSync(f, 'utf8').split('\n').filter(Boolean);
+    if (lines.length === 0) continue;
+
+    try {
+      return JSON.parse(lines[lines.length - 1]).hash || GENESIS_HASH;
+    } catch {
+      throw new Error(`Cannot continue audit chain: last record in ${f} is not valid JSON`);
+    }
+  }
+  return GENESIS_HASH;
+}
+
+/**
+ * Existing log files, newest first
+ */
+function listLogFiles(file) {
+  const files = [];
+  if (fs.existsSync(file)) files.push(file);
+  for (let i = 1; fs.existsSync(`${file}.${i}`); i++) {
+    files.push(`${file}.${i}`);
+  }
+  return files;
+}
+
+function hashRecord(body) {
+  return createHash('sha256').update(JSON.stringify(body)).digest('hex');
+}
+
+/**
+ * Replace the values at the given dot paths (e.g. "content", "action.diff")
+ */
+function redact(args, paths) {
+  if (!args || paths.length === 0) return args;
+
+  const copy = structuredClone(args);
+  for (const p of paths) {
+    const keys = p.split('.');
+    let target = copy;
+    for (const key of keys.slice(0, -1)) {
+      target = target?.[key];
+    }
+    const last = keys[keys.length - 1];
+    if (target && typeof target === 'object' && target[last] !== undefined) {
+      target[last] = REDACTED;
+    }
+  }
+  return copy;
+}
+
+/**
+ * IDs of the items a tool call returned
+ */
+function collectIds(data) {
+  const items = Array.isArray(data) ? data : [data];
+  return items
+    .map(item => item?.id)
+    .filter(id => typeof id === 'string' || typeof id === 'number')
+    .slice(0, MAX_RECORDED_IDS);
+}
@@ -0,0 +1,208 @@
+/**
+ * cache.js — Response cache for BeeBoo reads
+ *
+ * Caches GET responses and knowledge searches in memory, and optionally
+ * in a file shared across runs. Each endpoint has its own TTL; within it
+ * a cached response is served without a request. Once it has passed, a
+ * GET that came with an ETag is revalidated with If-None-Match, so an
+ * unchanged resource costs a 304 instead of a full response.
+ *
+ * A successful write through api.js (create, update, delete, comment,
+ * decision) drops the cached reads of the same collection, as do webhook
+ * events about it.
+ *
+ * Example config:
+ *   { "cache": { "ttls": { "knowledge": 120, "search": 0 }, "file": "/var/cache/beeboo/cache.json" } }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { getConfig } from './config.js';
+import { onWebhookEvent, eventCollection } from './webhooks.js';
+
+// Seconds a response is served without asking the API again. Approvals and
+// work requests change under the agent, so they are always revalidated.
+export const DEFAULT_TTLS = {
+  knowledge: 60,
+  search: 30,
+  namespaces: 300,
+  approvals: 0,
+  requests: 0,
+};
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+// Cached endpoints: path prefix -> TTL group, and the collection whose writes invalidate them
+const ENDPOINTS = [
+  { prefix: '/api/v1/knowledge/search', group: 'search', collection: 'knowledge' },
+  { prefix: '/api/v1/knowledge/namespaces', group: 'namespaces', collection: 'knowledge' },
+  { prefix: '/api/v1/knowledge/', group: 'knowledge', collection: 'knowledge' },
+  { prefix: '/api/v1/approvals', group: 'approvals', collection: 'approvals' },
+  { prefix: '/api/v1/requests', group: 'requests', collection: 'requests' },
+];
+
+// key -> { group, collection, expires, etag, response }, least recently used first
+let entries = null;
+let loadedFrom = null;
+
+const bypass = new AsyncLocalStorage();
+
+onWebhookEvent((event) => invalidateCollection(eventCollection(event)));
+
+/**
+ * Run fn with the cache bypassed: reads go to the API, and their
+ * responses still refresh the cache
+ */
+export function withoutCache(fn) {
+  return bypass.run(true, fn);
+}
+
+/**
+ * Look up a cacheable request
+ * @param {object} config - Resolved config (API URL and key are part of the key)
+ * @param {string} method
+ * @param {string} apiPath
+ * @param {object} [query]
+ * @param {object} [body]
+ * @returns {object|null} null if the request isn't cached; otherwise pass it to
+ *   store() with the response. Its `fresh` is a cached response that may be
+ *   served as-is, and `etag` one to revalidate with.
+ */
+export function lookup(config, method, apiPath, query, body) {
+  const settings = config.cache || {};
+  if (settings.enabled === false) return null;
+
+  const endpoint = ENDPOINTS.find(e => apiPath.startsWith(e.prefix));
+  if (!endpoint) return null;
+
+  const key = cacheKey(config, method, apiPath, query, body);
+  const entry = load(settings).get(key);
+  if (!entry) return { key, endpoint, fresh: null, etag: null };
+
+  // Mark as recently used
+  entries.delete(key);
+  entries.set(key, entry);
+
+  const fresh = !bypass.getStore() && entry.expires > Date.now() ? structuredClone(entry.response) : null;
+  return { key, endpoint, fresh, etag: entry.etag };
+}
+
+/**
+ * Store a response for a lookup() result, or refresh the cached one
+ * after a 304
+ * @returns {object} The response to return to the caller
+ */
+export function store(config, hit, res) {
+  const settings = config.cache || {};
+  const { group, collection } = hit.endpoint;
+  const ttl = settings.ttls?.[group] ?? DEFAULT_TTLS[group];
+  const cached = entries.get(hit.key);
+
+  if (res.status === 304 && cached) {
+    cached.expires = Date.now() + ttl * 1000;
+    save(settings);
+    return { ...structuredClone(cached.response), revalidated: true };
+  }
+  if (res.status < 200 || res.status >= 300) return res;
+
+  const etag = res.headers.etag || null;
+  // Nothing to gain from keeping a response that can't be served or revalidated
+  if (ttl <= 0 && !etag) {
+    entries.delete(hit.key);
+    return res;
+  }
+
+  // A copy, so callers changing the returned data don't change the cache
+  entries.set(hit.key, {
+    group,
+    collection,
+    expires: Date.now() + ttl * 1000,
+    etag,
+    response: structuredClone({ status: res.status, headers: { etag }, data: res.data, raw: res.raw }),
+  });
+  while (entries.size > (settings.maxEntries ?? DEFAULT_MAX_ENTRIES)) {
+    entries.delete(entries.keys().next().value);
+  }
+  save(settings);
+  return res;
+}
+
+/**
+ * Drop cached reads affected by a successful write to apiPath
+ */
+export function invalidate(config, apiPath) {
+  if (config.cache?.enabled === false) return;
+  const endpoint = ENDPOINTS.find(e => apiPath.startsWith(e.prefix));
+  if (endpoint) invalidateCollection(endpoint.collection, config.cache);
+}
+
+function invalidateCollection(collection, settings = getConfig().cache || {}) {
+  if (!entries || !collection) return;
+
+  let changed = false;
+  for (const [key, entry] of entries) {
+    if (entry.collection === collection) {
+      entries.delete(key);
+      changed = true;
+    }
+  }
+  if (changed) save(settings);
+}
+
+/**
+ * Requests are cached per API URL and key, so profiles sharing a cache
+ * file never see each other's data
+ */
+function cacheKey(config, method, apiPath, query, body) {
+  const params = Object.entries(query || {})
+    .filter(([, v]) => v !== undefined && v !== null && v !== '')
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  return createHash('sha256')
+    .update(JSON.stringify([config.apiUrl, config.apiKey, method, apiPath, params, body ?? null]))
+    .digest('hex');
+}
+
+/**
+ * The in-memory cache, read from the cache file the first time
+ */
+function load(settings) {
+  const file = settings.file ? path.resolve(settings.file) : null;
+  if (entries && loadedFrom === file) return entries;
+
+  entries = new Map();
+  loadedFrom = file;
+  if (!file) return entries;
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const [key, entry] of saved.entries || []) {
+      entries.set(key, entry);
+    }
+  } catch (err) {
+    // A missing or corrupt cache file just means a cold cache
+    if (err.code !== 'ENOENT') {
+      console.error(`Ignoring unreadable cache file ${file}: ${err.message}`);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Write the cache file, if there is one, atomically
+ */
+function save(settings) {
+  if (!settings.file || !entries) return;
+
+  const file = path.resolve(settings.file);
+  const tmp = `${file}.${process.pid}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify({ entries: [...entries] }), { mode: 0o600 });
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    console.error(`Failed to write cache file ${file}: ${err.message}`);
+  }
+}
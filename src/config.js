@@ -0,0 +1,333 @@
+/**
+ * config.js — Configuration for the BeeBoo MCP server
+ *
+ * Settings come from, in increasing order of precedence:
+ *   1. Built-in defaults
+ *   2. User config file:          ~/.beeboo/config.json
+ *   3. Project config file:       ./.beeboo.json
+ *   4. Environment variables:     BEEBOO_API_KEY, BEEBOO_API_URL, ...
+ *   5. Command-line flags:        --api-url, --namespace, --no-cache, --format
+ *
+ * Each config file may hold top-level settings shared by every profile
+ * and named `profiles`; the selected profile's settings override the
+ * top-level ones from the same file. `--config` or BEEBOO_CONFIG points
+ * at a single file instead of searching both locations.
+ *
+ * The project file comes with whatever repository the server is started
+ * in, so it may not set PROJECT_FILE_DENIED settings: those run commands,
+ * decide where the API key, audit trail and files go, or switch off the
+ * local policy. The server refuses to start if it does.
+ *
+ * Example ~/.beeboo/config.json:
+ *   {
+ *     "defaultProfile": "staging",
+ *     "profiles": {
+ *       "staging": { "apiUrl": "https://staging.example.com", "apiKeyCommand": "op read op://dev/beeboo/key" },
+ *       "prod": { "apiKeyCommand": "op read op://prod/beeboo/key", "tools": ["beeboo_knowledge_*"] }
+ *     }
+ *   }
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execSync } from 'child_process';
+import { z } from 'zod';
+import { FORMATS, DEFAULT_FORMAT } from './format.js';
+
+const DEFAULT_API_URL = 'https://beeboo-api-625726065149.us-central1.run.app';
+const KEY_COMMAND_TIMEOUT_MS = 10000;
+
+// Settings only trusted from the user file, --config, env or flags
+const PROJECT_FILE_DENIED = ['apiKey', 'apiKeyCommand', 'apiUrl', 'policyFile', 'audit', 'syncRoot', 'webhooks', 'cache.file'];
+
+const DEFAULTS = {
+  apiUrl: DEFAULT_API_URL,
+  apiKey: undefined,
+  apiKeyCommand: undefined,
+  namespace: 'default',
+  syncRoot: undefined,
+  format: DEFAULT_FORMAT,
+  timeoutMs: 30000,
+  retries: 3,
+  tools: undefined,
+  policyFile: undefined,
+  audit: undefined,
+  scrub: undefined,
+  webhooks: undefined,
+  cache: undefined,
+  rateLimit: undefined,
+  resourcePollMs: undefined,
+};
+
+const settingsSchema = {
+  apiUrl: z.string().url().optional(),
+  apiKey: z.string().optional(),
+  apiKeyCommand: z.string().optional(),
+  namespace: z.string().min(1).optional(),
+  syncRoot: z.string().min(1).optional(),
+  format: z.enum(FORMATS).optional(),
+  timeoutMs: z.number().int().positive().optional(),
+  retries: z.number().int().min(0).optional(),
+  tools: z.array(z.string()).optional(),
+  policyFile: z.string().optional(),
+  audit: z.object({
+    file: z.string().optional(),
+    redact: z.array(z.string()).optional(),
+    maxBytes: z.number().int().positive().optional(),
+    maxFiles: z.number().int().min(1).optional(),
+  }).strict().optional(),
+  scrub: z.object({
+    enabled: z.boolean().optional(),
+    actions: z.record(z.enum(['block', 'mask', 'warn', 'off'])).optional(),
+  }).strict().optional(),
+  webhooks: z.object({
+    port: z.number().int().min(0).max(65535).optional(),
+    host: z.string().optional(),
+    path: z.string().startsWith('/').optional(),
+    secret: z.string().min(1).optional(),
+  }).strict().optional(),
+  cache: z.object({
+    enabled: z.boolean().optional(),
+    file: z.string().optional(),
+    maxEntries: z.number().int().min(1).optional(),
+    ttls: z.object({
+      knowledge: z.number().min(0).optional(),
+      search: z.number().min(0).optional(),
+      namespaces: z.number().min(0).optional(),
+      approvals: z.number().min(0).optional(),
+      requests: z.number().min(0).optional(),
+    }).strict().optional(),
+  }).strict().optional(),
+  rateLimit: z.object({
+    requestsPerSecond: z.number().positive().optional(),
+    burst: z.number().int().min(1).optional(),
+    maxInFlight: z.number().int().min(1).optional(),
+    maxQueueMs: z.number().int().min(0).optional(),
+  }).strict().optional(),
+  resourcePollMs: z.number().int().positive().optional(),
+};
+
+const fileSchema = z.object({
+  ...settingsSchema,
+  defaultProfile: z.string().optional(),
+  profiles: z.record(z.object(settingsSchema).strict()).optional(),
+}).strict();
+
+let current = null;
+
+/**
+ * Load configuration and make it current
+ * @param {object} [options]
+ * @param {string} [options.profile] - Profile name (overrides BEEBOO_PROFILE and defaultProfile)
+ * @param {string} [options.configPath] - Use this config file instead of searching
+ * @param {object} [options.overrides] - Settings from command-line flags
+ * @param {object} [options.env] - Environment (default process.env)
+ * @param {string} [options.cwd] - Directory to look for .beeboo.json in (default process.cwd())
+ * @returns {object} The resolved configuration
+ */
+export function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const configPath = options.configPath || env.BEEBOO_CONFIG;
+  const projectPath = configPath ? null : path.join(options.cwd || process.cwd(), '.beeboo.json');
+
+  const files = configPath
+    ? [readConfigFile(path.resolve(configPath), true)]
+    : [
+        readConfigFile(path.join(os.homedir(), '.beeboo', 'config.json')),
+        readConfigFile(projectPath),
+      ].filter(Boolean);
+
+  // Later files win, so the project file's defaultProfile beats the user file's
+  const profile = options.profile || env.BEEBOO_PROFILE ||
+    [...files].reverse().find(f => f.data.defaultProfile)?.data.defaultProfile;
+
+  if (profile && !files.some(f => f.data.profiles?.[profile])) {
+    throw new Error(`Profile "${profile}" not found in ${files.map(f => f.path).join(', ') || 'any config file'}`);
+  }
+
+  const project = files.find(f => f.path === projectPath);
+  if (project) checkProjectFile(project, profile);
+
+  const config = { ...DEFAULTS, profile: profile || null, files: files.map(f => f.path) };
+
+  for (const { data } of files) {
+    const { defaultProfile, profiles, ...shared } = data;
+    assignLayer(config, shared);
+    if (profile) assignLayer(config, profiles?.[profile]);
+  }
+
+  assignLayer(config, fromEnv(env));
+  assignLayer(config, options.overrides);
+
+  if (!FORMATS.includes(config.format)) {
+    throw new Error(`Unknown output format "${config.format}" (expected ${FORMATS.join(', ')})`);
+  }
+
+  if (!config.apiKey && config.apiKeyCommand) {
+    config.apiKey = runKeyCommand(config.apiKeyCommand);
+  }
+
+  current = config;
+  return config;
+}
+
+/**
+ * Get the current configuration, loading it on first use
+ */
+export function getConfig() {
+  return current || loadConfig();
+}
+
+/**
+ * Whether a tool is enabled by the `tools` setting. Entries are tool
+ * names, optionally ending in * to match a prefix; unset enables all.
+ */
+export function isToolEnabled(name) {
+  const { tools } = getConfig();
+  if (!tools) return true;
+
+  return tools.some(pattern => pattern.endsWith('*')
+    ? name.startsWith(pattern.slice(0, -1))
+    : name === pattern);
+}
+
+/**
+ * Settings from environment variables
+ */
+function fromEnv(env) {
+  return {
+    apiUrl: env.BEEBOO_API_URL || undefined,
+    apiKey: env.BEEBOO_API_KEY || undefined,
+    namespace: env.BEEBOO_NAMESPACE || undefined,
+    syncRoot: env.BEEBOO_SYNC_ROOT || undefined,
+    format: env.BEEBOO_FORMAT || undefined,
+    timeoutMs: parseCount(env.BEEBOO_API_TIMEOUT_MS),
+    retries: parseCount(env.BEEBOO_API_RETRIES),
+    tools: env.BEEBOO_TOOLS ? env.BEEBOO_TOOLS.split(',').map(t => t.trim()).filter(Boolean) : undefined,
+    policyFile: env.BEEBOO_POLICY_FILE || undefined,
+    resourcePollMs: parseCount(env.BEEBOO_RESOURCE_POLL_MS) || undefined,
+    audit: {
+      file: env.BEEBOO_AUDIT_FILE || undefined,
+      redact: env.BEEBOO_AUDIT_REDACT ? env.BEEBOO_AUDIT_REDACT.split(',').map(f => f.trim()).filter(Boolean) : undefined,
+    },
+    webhooks: {
+      port: parseCount(env.BEEBOO_WEBHOOK_PORT),
+      host: env.BEEBOO_WEBHOOK_HOST || undefined,
+      secret: env.BEEBOO_WEBHOOK_SECRET || undefined,
+    },
+    cache: {
+      enabled: ['0', 'false', 'off'].includes(env.BEEBOO_CACHE?.toLowerCase()) ? false : undefined,
+      file: env.BEEBOO_CACHE_FILE || undefined,
+    },
+  };
+}
+
+/**
+ * Read and validate a config file; missing files are skipped unless required
+ */
+function readConfigFile(file, required = false) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT' && !required) return null;
+    throw new Error(`Cannot read config file ${file}: ${err.message}`);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Invalid JSON in config file ${file}: ${err.message}`);
+  }
+
+  const result = fileSchema.safeParse(parsed);
+  if (!result.success) {
+    const issues = result.error.issues.map(i => `${i.path.join('.') || '(root)'}: ${i.message}`).join('; ');
+    throw new Error(`Invalid config file ${file}: ${issues}`);
+  }
+
+  return { path: file, data: result.data };
+}
+
+/**
+ * Refuse a project file that sets a PROJECT_FILE_DENIED setting, at the
+ * top level or in the selected profile
+ */
+function checkProjectFile({ path: file, data }, profile) {
+  const layers = [data, profile && data.profiles?.[profile]].filter(Boolean);
+  const denied = PROJECT_FILE_DENIED.filter(name => layers.some(layer => {
+    const [key, field] = name.split('.');
+    return field ? layer[key]?.[field] !== undefined : layer[key] !== undefined;
+  }));
+
+  if (denied.length > 0) {
+    throw new Error(`${file} sets ${denied.join(', ')}, which a project config file may not set. Move them to ~/.beeboo/config.json, or pass the file with --config if you trust it.`);
+  }
+}
+
+/**
+ * Run apiKeyCommand and return its trimmed output
+ */
+function runKeyCommand(command) {
+  let output;
+  try {
+    output = execSync(command, {
+      encoding: 'utf8',
+      timeout: KEY_COMMAND_TIMEOUT_MS,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+  } catch (err) {
+    throw new Error(`apiKeyCommand failed: ${err.stderr?.trim() || err.message}`);
+  }
+
+  const key = output.trim();
+  if (!key) {
+    throw new Error('apiKeyCommand printed no API key');
+  }
+  return key;
+}
+
+/**
+ * Apply one layer of settings. apiKey and apiKeyCommand are one setting:
+ * a layer giving either replaces both, so a profile's key command beats
+ * a key shared by every profile. If a layer gives both, apiKey wins.
+ */
+function assignLayer(target, source = {}) {
+  if (source.apiKey !== undefined || source.apiKeyCommand !== undefined) {
+    target.apiKey = undefined;
+    target.apiKeyCommand = undefined;
+  }
+  assignDefined(target, source);
+}
+
+/**
+ * Copy defined settings onto target; nested objects (audit, scrub) are merged
+ * field by field so a later layer can override just one of their fields
+ */
+function assignDefined(target, source = {}) {
+  for (const [key, value] of Object.entries(source)) {
+    if (value === undefined) continue;
+    if (isPlainObject(value)) {
+      const merged = { ...target[key] };
+      assignDefined(merged, value);
+      // Leave the setting unset if no field was given
+      if (Object.keys(merged).length > 0) target[key] = merged;
+    } else {
+      target[key] = value;
+    }
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parse a non-negative integer setting, or undefined if unset or invalid
+ */
+function parseCount(value) {
+  const n = Number(value);
+  return value !== undefined && value !== '' && Number.isInteger(n) && n >= 0 ? n : undefined;
+}
@@ -0,0 +1,159 @@
+/**
+ * format.js — Rendering of tool results as text
+ *
+ * Tool handlers describe their result as a view: a list of paragraphs,
+ * each a list of lines built with the helpers below. The view is then
+ * rendered in the format the server or the call asks for:
+ *
+ *   markdown  Emoji status icons, bold titles and fenced code (the default)
+ *   plain     The same text without emoji or Markdown syntax
+ *   compact   As few tokens as possible: no icons or blank lines, fields run together
+ *   json      The tool's structured content, serialized
+ *
+ * Only the text changes between formats; structured content is the same.
+ */
+
+export const FORMATS = ['markdown', 'plain', 'compact', 'json'];
+
+export const DEFAULT_FORMAT = 'markdown';
+
+/**
+ * A title line, e.g. heading('✅', 'Knowledge entry created: "Deploy runbook"')
+ */
+export function heading(icon, text) {
+  return { kind: 'heading', icon, text };
+}
+
+/**
+ * A line of text, with an optional icon shown in Markdown only
+ */
+export function line(text, icon) {
+  return { kind: 'line', icon, text };
+}
+
+/**
+ * A "Label: value" line; nothing if the value is empty
+ */
+export function field(label, value) {
+  return fields([label, value]);
+}
+
+/**
+ * Several "Label: value" pairs on one line; empty values are left out
+ */
+export function fields(...pairs) {
+  const shown = pairs.filter(([, value]) => value !== undefined && value !== null && value !== '');
+  return shown.length > 0 ? { kind: 'field', pairs: shown } : null;
+}
+
+/**
+ * A numbered list item
+ * @param {number} n - Position in the list
+ * @param {string} text - Main text; bold in Markdown when `strong`
+ * @param {object} [options]
+ * @param {string} [options.icon] - Status icon(s), shown in Markdown only
+ * @param {string} [options.alt] - What the icon says, shown instead of it in the other formats
+ * @param {string} [options.suffix] - Text after the main text
+ * @param {string} [options.detail] - Text on an indented line below (the same line in compact)
+ * @param {boolean} [options.strong]
+ */
+export function item(n, text, { icon, alt, suffix = '', detail, strong = false } = {}) {
+  return { kind: 'item', n, text, icon, alt, suffix, detail, strong };
+}
+
+/**
+ * A "- text" list line
+ */
+export function bullet(text) {
+  return { kind: 'bullet', text };
+}
+
+/**
+ * A labelled block of code, a diff or JSON; nothing if text is empty
+ */
+export function code(label, text, lang = '') {
+  return text ? { kind: 'code', label, text, lang } : null;
+}
+
+/**
+ * Render a view as text
+ * @param {Array<Array<object|string|null>>} view - Paragraphs of lines; strings are plain lines,
+ *   and empty lines and paragraphs are skipped
+ * @param {string} [format] - One of FORMATS (default markdown)
+ * @param {any} [structured] - The structured content, rendered by the json format
+ * @returns {string}
+ */
+export function renderView(view, format = DEFAULT_FORMAT, structured) {
+  if (format === 'json') return JSON.stringify(structured ?? null);
+
+  const paragraphs = view
+    .map(lines => lines.filter(Boolean).map(l => typeof l === 'string' ? line(l) : l))
+    .filter(lines => lines.length > 0);
+
+  if (format === 'compact') {
+    return paragraphs.map(renderCompact).join('\n');
+  }
+  const icons = format === 'markdown';
+  return paragraphs
+    .map(lines => lines.map(l => renderLine(l, icons)).join('\n'))
+    .join('\n\n');
+}
+
+/**
+ * One line in the markdown or plain format
+ */
+function renderLine(l, markdown) {
+  const icon = markdown && l.icon ? `${l.icon} ` : '';
+
+  switch (l.kind) {
+    case 'field':
+      return l.pairs.map(([label, value]) => `${label}: ${value}`).join(' · ');
+    case 'item': {
+      const text = markdown && l.strong ? `**${l.text}**` : l.text;
+      const alt = !markdown && l.alt ? ` - ${l.alt}` : '';
+      const detail = l.detail !== undefined ? `\n   ${l.detail}` : '';
+      return `${l.n}. ${icon}${text}${l.suffix}${alt}${detail}`;
+    }
+    case 'bullet':
+      return `- ${l.text}`;
+    case 'code':
+      if (markdown) return `${l.label}:\n\`\`\`${l.lang}\n${l.text}\n\`\`\``;
+      return `${l.label}:\n${l.text.replace(/^/gm, '    ')}`;
+    default:
+      return `${icon}${l.text}`;
+  }
+}
+
+/**
+ * A paragraph in the compact format: the heading and fields run together
+ * on one line, list items on one line each
+ */
+function renderCompact(lines) {
+  const out = [];
+  let run = [];
+  const flush = () => {
+    if (run.length > 0) out.push(run.join('; '));
+    run = [];
+  };
+
+  for (const l of lines) {
+    if (l.kind === 'heading' || l.kind === 'field') {
+      run.push(l.kind === 'field' ? l.pairs.map(([label, value]) => `${label}: ${value}`).join('; ') : l.text);
+      continue;
+    }
+    flush();
+    if (l.kind === 'item') {
+      const alt = l.alt ? ` - ${l.alt}` : '';
+      const detail = l.detail ? `: ${l.detail.replace(/\s+/g, ' ').trim()}` : '';
+      out.push(`${l.n}. ${l.text}${l.suffix}${alt}${detail}`);
+    } else if (l.kind === 'bullet') {
+      out.push(`- ${l.text}`);
+    } else if (l.kind === 'code') {
+      out.push(l.text.includes('\n') ? `${l.label}:\n${l.text}` : `${l.label}: ${l.text}`);
+    } else {
+      out.push(l.text);
+    }
+  }
+  flush();
+  return out.join('\n');
+}
@@ -0,0 +1,257 @@
+/**
+ * http.js — HTTP transport for the BeeBoo MCP server
+ *
+ * Serves the Streamable HTTP transport on /mcp, with the legacy
+ * HTTP+SSE transport on /sse and /messages for older clients.
+ * Each session gets its own MCP server instance.
+ *
+ * Requests must name an allowed Host (and Origin, if they send one), so a
+ * web page can't reach a loopback server through DNS rebinding. By default
+ * a loopback server answers to its own address and port; set allowedHosts
+ * for anything else, e.g. when behind a proxy.
+ */
+
+import http from 'http';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const SHUTDOWN_GRACE_MS = 5000;
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+/**
+ * Start the HTTP server
+ * @param {object} options
+ * @param {() => import('@modelcontextprotocol/sdk/server/mcp.js').McpServer} options.createServer - Factory for per-session MCP servers
+ * @param {string} [options.host] - Interface to bind (default 127.0.0.1)
+ * @param {number} [options.port] - Port to listen on (default 3000, 0 for any free port)
+ * @param {string} [options.authToken] - Bearer token required on every MCP request
+ * @param {string[]} [options.allowedHosts] - Host headers to accept, e.g. "mcp.example.com"
+ *   (default: the loopback names with the bound port, or any host when not on loopback)
+ * @returns {Promise<http.Server>}
+ */
+export async function startHttpServer({ createServer, host = '127.0.0.1', port = 3000, authToken, allowedHosts }) {
+  if (!authToken && !LOOPBACK_HOSTS.includes(host)) {
+    throw new Error('BEEBOO_MCP_AUTH_TOKEN is required when listening on a non-loopback host');
+  }
+
+  // sessionId -> { transport, server }
+  const sessions = new Map();
+  // Set once listening, when the bound port is known
+  let hosts = null;
+
+  const httpServer = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+
+      if (url.pathname === '/health') {
+        sendJson(res, 200, { status: 'ok', sessions: sessions.size });
+        return;
+      }
+
+      // Checked here rather than by the SDK transports, which don't check GET /sse
+      if (hosts && !isAllowedHost(req, hosts)) {
+        sendJson(res, 403, jsonRpcError('Forbidden: Host or Origin not allowed'));
+        return;
+      }
+
+      if (!isAuthorized(req, authToken)) {
+        res.setHeader('WWW-Authenticate', 'Bearer realm="beeboo-mcp"');
+        sendJson(res, 401, jsonRpcError('Unauthorized'));
+        return;
+      }
+      if (authToken) {
+        req.auth = { token: authToken, clientId: 'bearer', scopes: [] };
+      }
+
+      if (url.pathname === '/mcp') {
+        await handleStreamable(req, res, sessions, createServer);
+      } else if (url.pathname === '/sse' && req.method === 'GET') {
+        await handleSseConnect(res, sessions, createServer);
+      } else if (url.pathname === '/messages' && req.method === 'POST') {
+        await handleSseMessage(req, res, url, sessions);
+      } else {
+        sendJson(res, 404, jsonRpcError('Not found'));
+      }
+    } catch (error) {
+      if (!error.statusCode) {
+        console.error(`HTTP error: ${error.message}`);
+      }
+      if (!res.headersSent) {
+        sendJson(res, error.statusCode || 500, jsonRpcError(error.statusCode ? error.message : 'Internal server error'));
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  if (allowedHosts?.length) {
+    hosts = allowedHosts;
+  } else if (LOOPBACK_HOSTS.includes(host)) {
+    const boundPort = httpServer.address().port;
+    hosts = LOOPBACK_HOSTS.map(h => `${h.includes(':') ? `[${h}]` : h}:${boundPort}`);
+  }
+
+  const shutdown = async (signal) => {
+    console.error(`Received ${signal}, shutting down`);
+    const force = setTimeout(() => process.exit(1), SHUTDOWN_GRACE_MS);
+    force.unref();
+
+    httpServer.close();
+    for (const { transport } of sessions.values()) {
+      await transport.close().catch(() => {});
+    }
+    sessions.clear();
+    httpServer.closeAllConnections?.();
+    process.exit(0);
+  };
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+
+  return httpServer;
+}
+
+/**
+ * Handle a Streamable HTTP request (POST, GET or DELETE on /mcp)
+ */
+async function handleStreamable(req, res, sessions, createServer) {
+  const sessionId = req.headers['mcp-session-id'];
+  const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+
+  if (sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session || !(session.transport instanceof StreamableHTTPServerTransport)) {
+      sendJson(res, 404, jsonRpcError('Session not found'));
+      return;
+    }
+    await session.transport.handleRequest(req, res, body);
+    return;
+  }
+
+  if (req.method !== 'POST' || !isInitializeRequest(body)) {
+    sendJson(res, 400, jsonRpcError('Missing Mcp-Session-Id header'));
+    return;
+  }
+
+  const server = createServer();
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: () => randomUUID(),
+    onsessioninitialized: (id) => {
+      sessions.set(id, { transport, server });
+    },
+  });
+  transport.onclose = () => {
+    if (transport.sessionId) sessions.delete(transport.sessionId);
+  };
+
+  await server.connect(transport);
+  await transport.handleRequest(req, res, body);
+}
+
+/**
+ * Open a legacy SSE stream (GET /sse)
+ */
+async function handleSseConnect(res, sessions, createServer) {
+  const server = createServer();
+  const transport = new SSEServerTransport('/messages', res);
+  sessions.set(transport.sessionId, { transport, server });
+
+  res.on('close', () => {
+    sessions.delete(transport.sessionId);
+  });
+
+  await server.connect(transport);
+}
+
+/**
+ * Deliver a client message to a legacy SSE session (POST /messages)
+ */
+async function handleSseMessage(req, res, url, sessions) {
+  const session = sessions.get(url.searchParams.get('sessionId'));
+  if (!session || !(session.transport instanceof SSEServerTransport)) {
+    sendJson(res, 404, jsonRpcError('Session not found'));
+    return;
+  }
+
+  const body = await readJsonBody(req);
+  await session.transport.handlePostMessage(req, res, body);
+}
+
+/**
+ * Check the Host header, and the Origin header if the request has one
+ * (browsers always send it on cross-origin requests)
+ */
+function isAllowedHost(req, hosts) {
+  if (!hosts.includes(req.headers.host)) return false;
+
+  const { origin } = req.headers;
+  if (!origin) return true;
+  try {
+    return hosts.includes(new URL(origin).host);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check the request's bearer token in constant time
+ */
+function isAuthorized(req, authToken) {
+  if (!authToken) return true;
+
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+
+  const given = Buffer.from(match[1]);
+  const expected = Buffer.from(authToken);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      data += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(data));
+      } catch {
+        reject(httpError(400, 'Parse error: request body must be JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function jsonRpcError(message) {
+  return { jsonrpc: '2.0', error: { code: -32000, message }, id: null };
+}
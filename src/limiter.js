@@ -0,0 +1,143 @@
+/**
+ * limiter.js — Client-side rate limiting for BeeBoo API requests
+ *
+ * Every request attempt made through api.js takes a token from a token
+ * bucket (refilled at `requestsPerSecond`, holding up to `burst`) and a
+ * slot under the `maxInFlight` cap. Requests that can't go yet queue in
+ * arrival order, so a model fanning out parallel tool calls is smoothed
+ * out instead of tripping BeeBoo's rate limits. A request still queued
+ * after `maxQueueMs` fails with the remaining budget in its message.
+ *
+ * When BeeBoo answers 429 with Retry-After, the queue pauses until then.
+ *
+ * Example config (per profile, like any setting):
+ *   { "rateLimit": { "requestsPerSecond": 5, "burst": 10, "maxInFlight": 2 } }
+ */
+
+import { getConfig } from './config.js';
+
+export const DEFAULT_RATE_LIMIT = {
+  requestsPerSecond: 10,
+  burst: 20,
+  maxInFlight: 4,
+  maxQueueMs: 30000,
+};
+
+let limiter = null;
+
+/**
+ * Wait for a token and an in-flight slot
+ * @returns {Promise<() => void>} Call to release the slot when the attempt finishes
+ * @throws {Error} If the request is still queued after maxQueueMs
+ */
+export function acquire() {
+  return getLimiter().acquire();
+}
+
+/**
+ * Hold the queue until a server-imposed wait has passed
+ * @param {number} ms - Time to wait, e.g. from Retry-After
+ */
+export function pause(ms) {
+  getLimiter().pause(ms);
+}
+
+/**
+ * The current budget: tokens left, requests in flight and queued
+ */
+export function getBudget() {
+  return getLimiter().budget();
+}
+
+/**
+ * "3 of 20 requests left (refills at 10/s), 4 of 4 in flight, 2 queued"
+ */
+export function formatBudget(budget = getBudget()) {
+  const { tokens, burst, requestsPerSecond, inFlight, maxInFlight, queued } = budget;
+  return `${tokens} of ${burst} requests left (refills at ${requestsPerSecond}/s), ${inFlight} of ${maxInFlight} in flight, ${queued} queued`;
+}
+
+/**
+ * The limiter for the current settings; a new one after a config reload
+ */
+function getLimiter() {
+  const settings = { ...DEFAULT_RATE_LIMIT, ...getConfig().rateLimit };
+  const key = JSON.stringify(settings);
+  if (!limiter || limiter.key !== key) {
+    limiter = createLimiter(settings);
+    limiter.key = key;
+  }
+  return limiter;
+}
+
+function createLimiter({ requestsPerSecond, burst, maxInFlight, maxQueueMs }) {
+  let tokens = burst;
+  let refilledAt = Date.now();
+  let inFlight = 0;
+  let pausedUntil = 0;
+  let timer = null;
+  // Waiting requests in arrival order: { grant, timeout }
+  const queue = [];
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - refilledAt) / 1000) * requestsPerSecond);
+    refilledAt = now;
+  };
+
+  const budget = () => {
+    refill();
+    return { tokens: Math.floor(tokens), burst, requestsPerSecond, inFlight, maxInFlight, queued: queue.length };
+  };
+
+  const pump = () => {
+    clearTimeout(timer);
+    timer = null;
+    refill();
+
+    while (queue.length > 0 && inFlight < maxInFlight && tokens >= 1 && Date.now() >= pausedUntil) {
+      const waiter = queue.shift();
+      clearTimeout(waiter.timeout);
+      tokens -= 1;
+      inFlight++;
+      waiter.grant(once(() => {
+        inFlight--;
+        pump();
+      }));
+    }
+
+    // Waiting on time (tokens or a pause) rather than on a slot being released
+    if (queue.length > 0 && inFlight < maxInFlight) {
+      const untilToken = tokens >= 1 ? 0 : ((1 - tokens) / requestsPerSecond) * 1000;
+      const untilResume = Math.max(pausedUntil - Date.now(), 0);
+      timer = setTimeout(pump, Math.max(untilToken, untilResume, 1));
+    }
+  };
+
+  const acquire = () => new Promise((resolve, reject) => {
+    const waiter = { grant: resolve };
+    waiter.timeout = setTimeout(() => {
+      queue.splice(queue.indexOf(waiter), 1);
+      reject(new Error(`Throttled: this request waited ${maxQueueMs / 1000}s for the client-side rate limit (${formatBudget(budget())}). Make fewer calls at once, or retry shortly.`));
+    }, maxQueueMs);
+
+    queue.push(waiter);
+    pump();
+  });
+
+  const pause = (ms) => {
+    pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    pump();
+  };
+
+  return { acquire, pause, budget };
+}
+
+function once(fn) {
+  let called = false;
+  return () => {
+    if (called) return;
+    called = true;
+    fn();
+  };
+}
@@ -0,0 +1,249 @@
+/**
+ * policy.js — Local policy engine for tool calls
+ *
+ * Enforces a declarative rules file around every tool call, so the
+ * server, not the model, decides when a human must sign off. Rules
+ * match on tool name, argument patterns and keywords; the first match
+ * decides whether the call is allowed, denied, or must first be
+ * approved through BeeBoo.
+ *
+ * Example policy file:
+ *   {
+ *     "default": "allow",
+ *     "approvalTimeoutSeconds": 600,
+ *     "rules": [
+ *       { "tool": "beeboo_knowledge_delete", "action": "require_approval" },
+ *       { "tool": "beeboo_knowledge_*", "keywords": ["password"], "action": "deny", "reason": "No credentials in the knowledge base" },
+ *       { "keywords": ["prod", "production"], "action": "require_approval" },
+ *       { "tool": "beeboo_request_update", "args": { "status": "^resolved$" }, "action": "require_approval" }
+ *     ]
+ *   }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { z } from 'zod';
+import { api, isOk, getData, getError } from './api.js';
+import { getConfig } from './config.js';
+import { waitForApproval } from './approvals.js';
+
+const ACTIONS = ['allow', 'deny', 'require_approval'];
+
+const ruleSchema = z.object({
+  tool: z.union([z.string(), z.array(z.string())]).optional(),
+  args: z.record(z.string()).optional(),
+  keywords: z.array(z.string()).optional(),
+  action: z.enum(ACTIONS),
+  reason: z.string().optional(),
+}).strict();
+
+const policySchema = z.object({
+  default: z.enum(ACTIONS).default('allow'),
+  approvalTimeoutSeconds: z.number().int().min(1).max(3600).default(300),
+  rules: z.array(ruleSchema).default([]),
+}).strict();
+
+// Loaded policies by file path
+const loaded = new Map();
+
+// Approvals requested for a call that has not run yet, by call signature,
+// so retrying the same call waits on the same approval
+const pendingApprovals = new Map();
+
+/**
+ * Load and validate a policy file
+ * @param {string} file - Path to the policy file
+ * @returns {object} The compiled policy
+ */
+export function loadPolicy(file) {
+  const resolved = path.resolve(file);
+  if (loaded.has(resolved)) return loaded.get(resolved);
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot load policy file ${resolved}: ${err.message}`);
+  }
+
+  const result = policySchema.safeParse(parsed);
+  if (!result.success) {
+    const issues = result.error.issues.map(i => `${i.path.join('.') || '(root)'}: ${i.message}`).join('; ');
+    throw new Error(`Invalid policy file ${resolved}: ${issues}`);
+  }
+
+  const policy = {
+    ...result.data,
+    rules: result.data.rules.map((rule, index) => compileRule(rule, index, resolved)),
+  };
+  loaded.set(resolved, policy);
+  return policy;
+}
+
+/**
+ * Find the action a policy takes for a tool call
+ * @returns {{action: string, reason: string|null, rule: number|null}}
+ */
+export function evaluatePolicy(policy, toolName, args) {
+  for (const rule of policy.rules) {
+    if (matchesRule(rule, toolName, args)) {
+      return { action: rule.action, reason: rule.reason || null, rule: rule.index };
+    }
+  }
+  return { action: policy.default, reason: null, rule: null };
+}
+
+/**
+ * Enforce the configured policy on a tool call. Returns when the call may
+ * proceed, waiting for a human decision if the policy requires one, and
+ * throws if it is denied or still awaiting approval.
+ * @param {string} toolName - Tool being called
+ * @param {object} args - Validated tool arguments
+ * @param {object} [extra] - MCP request context, used while waiting
+ */
+export async function enforcePolicy(toolName, args, extra = {}) {
+  const { policyFile } = getConfig();
+  if (!policyFile) return;
+
+  const policy = loadPolicy(policyFile);
+  const { action, reason } = evaluatePolicy(policy, toolName, args);
+
+  if (action === 'allow') return;
+
+  if (action === 'deny') {
+    throw new Error(`Denied by policy: ${toolName} is not allowed${reason ? ` (${reason})` : ''}`);
+  }
+
+  const signature = `${toolName}:${stableStringify(args)}`;
+  let approvalId = pendingApprovals.get(signature);
+
+  if (!approvalId) {
+    approvalId = await requestApproval(toolName, args, reason);
+    pendingApprovals.set(signature, approvalId);
+  }
+
+  const { result } = await waitForApproval(approvalId, policy.approvalTimeoutSeconds * 1000, extra);
+
+  if (result.decision === 'approved') {
+    // Each approval authorizes a single call
+    pendingApprovals.delete(signature);
+    return;
+  }
+
+  if (result.decision !== 'timeout') {
+    // Denied, expired or cancelled: a retry should ask for a fresh approval
+    pendingApprovals.delete(signature);
+    const by = result.decided_by ? ` by ${result.decided_by}` : '';
+    const note = result.note ? `: ${result.note}` : '';
+    throw new Error(`Approval ${approvalId} for ${toolName} was ${result.decision}${by}${note}`);
+  }
+
+  throw new Error(`Policy requires human approval for ${toolName}. Approval ${approvalId} is still pending after ${Math.round(result.elapsed_ms / 1000)}s; call ${toolName} again with the same arguments to keep waiting.`);
+}
+
+/**
+ * Submit an approval request describing the gated call
+ */
+async function requestApproval(toolName, args, reason) {
+  const description = [
+    `The agent wants to run ${toolName} and local policy requires human approval.`,
+    reason ? `Policy reason: ${reason}` : null,
+    '',
+    'Arguments:',
+    JSON.stringify(args, null, 2),
+  ].filter(line => line !== null).join('\n');
+
+  const res = await api.submitApproval({
+    title: `Allow agent to run ${toolName}`,
+    description,
+    category: 'general',
+    urgency: 'normal',
+    action: { command: toolName, parameters: args },
+  });
+
+  if (!isOk(res)) {
+    throw new Error(`Policy requires approval for ${toolName}, but submitting it failed: ${getError(res)}`);
+  }
+
+  const approval = getData(res);
+  if (!approval?.id) {
+    throw new Error(`Policy requires approval for ${toolName}, but the API returned no approval ID`);
+  }
+  return approval.id;
+}
+
+/**
+ * Precompile a rule's patterns
+ */
+function compileRule(rule, index, file) {
+  const tools = rule.tool === undefined ? null : [].concat(rule.tool);
+
+  const args = Object.entries(rule.args || {}).map(([field, pattern]) => {
+    try {
+      return [field, new RegExp(pattern, 'i')];
+    } catch (err) {
+      throw new Error(`Invalid policy file ${file}: rules.${index}.args.${field}: ${err.message}`);
+    }
+  });
+
+  const keywords = (rule.keywords || []).map(keyword =>
+    new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i')
+  );
+
+  return { ...rule, index, tools, args, keywords };
+}
+
+/**
+ * Whether a rule matches a call: every criterion the rule sets must match
+ */
+function matchesRule(rule, toolName, args) {
+  if (rule.tools && !rule.tools.some(pattern => matchesName(pattern, toolName))) {
+    return false;
+  }
+
+  for (const [field, pattern] of rule.args) {
+    const value = args?.[field];
+    if (value === undefined) return false;
+    if (!pattern.test(typeof value === 'string' ? value : JSON.stringify(value))) return false;
+  }
+
+  if (rule.keywords.length > 0) {
+    // Tool names count too, so "delete" matches beeboo_knowledge_delete
+    const haystack = [toolName.replace(/_/g, ' '), ...collectStrings(args)].join('\n');
+    if (!rule.keywords.some(keyword => keyword.test(haystack))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Match a tool name against a pattern where * matches any run of characters
+ */
+function matchesName(pattern, name) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`).test(name);
+}
+
+/**
+ * All string values in an argument object, recursively
+ */
+function collectStrings(value) {
+  if (typeof value === 'string') return [value];
+  if (Array.isArray(value)) return value.flatMap(collectStrings);
+  if (value && typeof value === 'object') return Object.values(value).flatMap(collectStrings);
+  return [];
+}
+
+/**
+ * JSON with sorted keys, so equal arguments give equal signatures
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
@@ -0,0 +1,145 @@
+/**
+ * prompts.js — MCP prompt templates for BeeBoo
+ *
+ * Reusable human-in-the-loop workflows that expand into instructions
+ * driving the beeboo_* tools, so teams don't have to paste the same
+ * guidance into every conversation.
+ */
+
+import { z } from 'zod';
+
+// Bounds of the tool arguments the prompts expand to (see tools.js)
+const MAX_WAIT_MINUTES = 60;
+const MAX_LIST_LIMIT = 100;
+
+/**
+ * Prompt definitions: argument schemas (prompt arguments are always
+ * strings) and a builder that expands them into user message text
+ */
+export const prompts = {
+  'guarded-destructive-action': {
+    title: 'Guarded Destructive Action',
+    description: 'Get human approval through BeeBoo before performing a destructive or irreversible action',
+    argsSchema: {
+      action: z.string().describe('The exact action to perform, e.g. the command or change to run'),
+      target: z.string().optional().describe('The resource affected, e.g. a database, host or branch'),
+      reason: z.string().optional().describe('Why the action is needed'),
+      timeout_minutes: wholeNumber(1, MAX_WAIT_MINUTES, 'minutes').optional()
+        .describe(`How long to wait for a decision, in minutes (1-${MAX_WAIT_MINUTES}, default 15)`)
+    },
+    build: ({ action, target, reason, timeout_minutes }) => {
+      const timeoutSeconds = Number(timeout_minutes || 15) * 60;
+      return [
+        `I need to perform a destructive action: ${action}${target ? ` on ${target}` : ''}.`,
+        reason ? `Reason: ${reason}` : null,
+        '',
+        'Before doing anything, follow this procedure exactly:',
+        '',
+        `1. Call \`beeboo_approval_request\` with a short \`title\` naming the action and target, a \`description\` that states what it affects, why it is needed, and how it could be rolled back, and an \`action\` payload with the exact \`command\` (or \`diff\`)${target ? ` and \`target: ${JSON.stringify(target)}\`` : ' and the `target` resource'}. Set \`urgency\` to match how soon it is needed.`,
+        `2. Call \`beeboo_approval_wait\` with the returned approval ID and \`timeout_seconds: ${timeoutSeconds}\`.`,
+        '3. Only if the decision is `approved`, perform exactly the action that was approved, nothing more. If the approver left a note, follow it.',
+        '4. If the decision is `denied`, `expired` or `cancelled`, do not perform the action. Report the decision and any note to me.',
+        '5. If the wait times out, do not perform the action. Tell me the approval ID so it can be followed up. If you decide not to go ahead after all, withdraw the request with `beeboo_approval_cancel`.',
+        '',
+        'Never treat silence, a timeout or an error as approval.'
+      ];
+    }
+  },
+
+  'escalate-to-human': {
+    title: 'Escalate to a Human',
+    description: 'Hand a problem the agent cannot or should not resolve to the team as a BeeBoo work request',
+    argsSchema: {
+      issue: z.string().describe('What needs human attention'),
+      context: z.string().optional().describe('What has been tried so far and relevant details'),
+      priority: z.enum(['low', 'medium', 'high', 'critical']).optional()
+        .describe('Priority level: low, medium, high, or critical (default medium)')
+    },
+    build: ({ issue, context, priority }) => [
+      `Escalate this issue to a human: ${issue}`,
+      context ? `Context: ${context}` : null,
+      '',
+      `1. Call \`beeboo_request_create\` with a concise \`title\`, \`priority: "${priority || 'medium'}"\`, and a \`description\` covering the problem, what was tried, the impact, and what decision or action is needed from a person.`,
+      '2. Report the work request ID back to me.',
+      '3. Stop working on the escalated part. Continue only with work that does not depend on it.'
+    ]
+  },
+
+  'capture-learning-to-knowledge-base': {
+    title: 'Capture a Learning',
+    description: 'Record something learned in the BeeBoo knowledge base without creating duplicates',
+    argsSchema: {
+      learning: z.string().describe('The fact, procedure or lesson to record'),
+      title: z.string().optional().describe('Title for the entry'),
+      tags: z.string().optional().describe('Comma-separated tags, e.g. "deploy, aws"')
+    },
+    build: ({ learning, title, tags }) => {
+      const tagList = tags ? tags.split(',').map((t) => t.trim()).filter(Boolean) : [];
+      return [
+        `Record this in the knowledge base: ${learning}`,
+        '',
+        '1. Call `beeboo_knowledge_search` with the key terms to check whether an entry already covers it.',
+        '2. If an existing entry covers the same topic, call `beeboo_knowledge_get` to read it, then `beeboo_knowledge_update` to merge the new information into it. Keep what is still accurate.',
+        `3. Otherwise call \`beeboo_knowledge_add\` with ${title ? `\`title: ${JSON.stringify(title)}\`` : 'a short, specific title'}, content written so a teammate without this conversation could act on it${tagList.length ? `, and \`tags: ${JSON.stringify(tagList)}\`` : ''}. If it reports that the key is taken or that similar entries exist, go back to step 2 with those entries.`,
+        '4. Never include secrets such as API keys, passwords or tokens in the entry.',
+        '5. Tell me which entry was created or updated.'
+      ];
+    }
+  },
+
+  'triage-open-requests': {
+    title: 'Triage Open Requests',
+    description: 'Review open BeeBoo work requests and pick up the ones the agent can handle',
+    argsSchema: {
+      focus: z.string().optional().describe('Only consider requests about this topic'),
+      limit: wholeNumber(1, MAX_LIST_LIMIT).optional()
+        .describe(`Maximum number of requests to review (1-${MAX_LIST_LIMIT}, default 10)`)
+    },
+    build: ({ focus, limit }) => [
+      `Triage the open work requests${focus ? ` related to: ${focus}` : ''}.`,
+      '',
+      `1. Call \`beeboo_requests_list\` with \`status: "open"\` and \`limit: ${Number(limit || 10)}\`.`,
+      '2. For each request, call `beeboo_request_get` and decide whether you can complete it yourself, it needs more information, or it needs a person.',
+      '3. For requests you can handle: call `beeboo_request_update` with `status: "in_progress"`, do the work, post progress with `beeboo_request_comment`, then resolve it with `beeboo_request_update` and a `resolution` summary.',
+      '4. For requests that need information: post a `beeboo_request_comment` asking a specific question.',
+      '5. Leave requests that need a person untouched.',
+      '6. Finish with a summary table: request ID, title, and what you did.'
+    ]
+  }
+};
+
+/**
+ * A whole number argument between min and max, given as a string
+ */
+function wholeNumber(min, max, unit) {
+  const message = `Must be a whole number${unit ? ` of ${unit}` : ''} from ${min} to ${max}`;
+  return z.string()
+    .regex(/^\d+$/, message)
+    .refine((value) => Number(value) >= min && Number(value) <= max, message);
+}
+
+/**
+ * Register all prompts with the MCP server
+ */
+export function registerPrompts(server) {
+  for (const [name, prompt] of Object.entries(prompts)) {
+    server.registerPrompt(
+      name,
+      {
+        title: prompt.title,
+        description: prompt.description,
+        argsSchema: prompt.argsSchema
+      },
+      (args) => ({
+        description: prompt.description,
+        messages: [{
+          role: 'user',
+          content: {
+            type: 'text',
+            text: prompt.build(args).filter((line) => line !== null).join('\n')
+          }
+        }]
+      })
+    );
+  }
+}
@@ -0,0 +1,219 @@
+/**
+ * resources.js — MCP resources for BeeBoo
+ *
+ * Exposes knowledge entries, approvals and work requests as resources
+ * so clients can browse them and attach them to context:
+ *
+ *   beeboo://knowledge/{id}
+ *   beeboo://approvals/{id}
+ *   beeboo://requests/{id}
+ *
+ * Clients may subscribe to a resource. Subscribed approvals are polled
+ * while pending (every resourcePollMs, default 10s) and a resources/updated notification is sent whenever
+ * their status changes. With the webhook receiver running (webhooks.js),
+ * any subscribed resource is also reported as soon as BeeBoo sends an
+ * event about it.
+ */
+
+import { ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { SubscribeRequestSchema, UnsubscribeRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { api, isOk, getData, getError, getPage } from './api.js';
+import { getConfig } from './config.js';
+import { getDecision, normalizeApproval, normalizeStatus } from './approvals.js';
+import { onWebhookEvent, eventResourceUri } from './webhooks.js';
+
+const LIST_LIMIT = 100;
+const DEFAULT_APPROVAL_POLL_INTERVAL_MS = 10000;
+
+/**
+ * Register BeeBoo resource templates and subscription handlers
+ */
+export function registerResources(server) {
+  server.registerResource(
+    'knowledge-entry',
+    new ResourceTemplate('beeboo://knowledge/{id}', {
+      list: () => listResources(api.listKnowledgeEntries, 'knowledge', 'text/markdown', (e) => e.title || e.key)
+    }),
+    {
+      title: 'Knowledge Entry',
+      description: 'A BeeBoo knowledge base entry, as Markdown',
+      mimeType: 'text/markdown'
+    },
+    async (uri, { id }) => {
+      const entry = await fetchResource(api.getKnowledgeEntry, 'Knowledge entry', decodeURIComponent(id));
+      const title = entry.title || entry.key || '(untitled)';
+      return {
+        contents: [{ uri: uri.href, mimeType: 'text/markdown', text: `# ${title}\n\n${entry.content || ''}` }]
+      };
+    }
+  );
+
+  server.registerResource(
+    'approval',
+    new ResourceTemplate('beeboo://approvals/{id}', {
+      list: () => listResources(api.listApprovals, 'approvals', 'application/json', (a) => a.title)
+    }),
+    {
+      title: 'Approval',
+      description: 'A BeeBoo approval request and its decision, as JSON. Subscribe to be notified when it is decided.',
+      mimeType: 'application/json'
+    },
+    async (uri, { id }) => {
+      const approval = normalizeApproval(await fetchResource(api.getApproval, 'Approval', decodeURIComponent(id)));
+      return { contents: [jsonContent(uri, approval)] };
+    }
+  );
+
+  server.registerResource(
+    'work-request',
+    new ResourceTemplate('beeboo://requests/{id}', {
+      list: () => listResources(api.listRequests, 'requests', 'application/json', (r) => r.title)
+    }),
+    {
+      title: 'Work Request',
+      description: 'A BeeBoo work request, as JSON',
+      mimeType: 'application/json'
+    },
+    async (uri, { id }) => {
+      const request = await fetchResource(api.getRequest, 'Work request', decodeURIComponent(id));
+      return { contents: [jsonContent(uri, request)] };
+    }
+  );
+
+  registerSubscriptions(server);
+}
+
+/**
+ * Handle resources/subscribe and resources/unsubscribe, watching
+ * subscribed approvals until they are decided
+ */
+function registerSubscriptions(server) {
+  // uri -> last seen approval status (null for non-approval resources)
+  const subscriptions = new Map();
+  let timer = null;
+
+  const poll = async () => {
+    for (const [uri, lastStatus] of subscriptions) {
+      const id = approvalId(uri);
+      if (!id || getDecision(lastStatus)) continue;
+
+      try {
+        const res = await api.getApproval(id);
+        if (!isOk(res)) continue;
+
+        const status = normalizeStatus(getData(res));
+        if (!subscriptions.has(uri) || status === lastStatus) continue;
+
+        subscriptions.set(uri, status);
+        await server.server.sendResourceUpdated({ uri });
+      } catch (error) {
+        console.error(`Failed to poll ${uri}: ${error.message}`);
+      }
+    }
+
+    if (![...subscriptions.values()].some((s) => s !== null && !getDecision(s))) {
+      stopPolling();
+    }
+  };
+
+  const startPolling = () => {
+    if (timer) return;
+    timer = setInterval(poll, getConfig().resourcePollMs || DEFAULT_APPROVAL_POLL_INTERVAL_MS);
+    // Don't keep the process alive just to watch approvals
+    timer.unref();
+  };
+
+  const stopPolling = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+
+  server.server.setRequestHandler(SubscribeRequestSchema, async (req) => {
+    const { uri } = req.params;
+    const id = approvalId(uri);
+
+    if (!id) {
+      subscriptions.set(uri, null);
+      return {};
+    }
+
+    const approval = await fetchResource(api.getApproval, 'Approval', id);
+    subscriptions.set(uri, normalizeStatus(approval));
+    startPolling();
+    return {};
+  });
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (req) => {
+    subscriptions.delete(req.params.uri);
+    return {};
+  });
+
+  const stopEvents = onWebhookEvent(async (event) => {
+    const uri = eventResourceUri(event);
+    if (!subscriptions.has(uri)) return;
+
+    if (approvalId(uri) && event.data.status) {
+      subscriptions.set(uri, normalizeStatus(event.data));
+    }
+    try {
+      await server.server.sendResourceUpdated({ uri });
+    } catch (error) {
+      console.error(`Failed to notify ${uri}: ${error.message}`);
+    }
+  });
+
+  const onclose = server.server.onclose;
+  server.server.onclose = () => {
+    stopPolling();
+    stopEvents();
+    subscriptions.clear();
+    onclose?.();
+  };
+}
+
+/**
+ * List one page of items from a list endpoint as MCP resources
+ */
+async function listResources(listFn, collection, mimeType, getName) {
+  const res = await listFn({ limit: LIST_LIMIT });
+
+  if (!isOk(res)) {
+    throw new Error(`Failed to list ${collection}: ${getError(res)}`);
+  }
+
+  const { items } = getPage(res);
+  return {
+    resources: items.filter((item) => item.id).map((item) => ({
+      uri: `beeboo://${collection}/${encodeURIComponent(item.id)}`,
+      name: getName(item) || item.id,
+      mimeType
+    }))
+  };
+}
+
+/**
+ * Fetch a single item, throwing a readable error if it can't be loaded
+ */
+async function fetchResource(getFn, label, id) {
+  const res = await getFn(id);
+
+  if (!isOk(res)) {
+    if (res.status === 404) {
+      throw new Error(`${label} not found: ${id}`);
+    }
+    throw new Error(`Failed to read ${label.toLowerCase()}: ${getError(res)}`);
+  }
+
+  return getData(res);
+}
+
+function approvalId(uri) {
+  const match = uri.match(/^beeboo:\/\/approvals\/([^/?#]+)$/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+function jsonContent(uri, data) {
+  return { uri: uri.href, mimeType: 'application/json', text: JSON.stringify(data, null, 2) };
+}
@@ -0,0 +1,236 @@
+/**
+ * schemas.js — Output schemas for the BeeBoo tools
+ *
+ * The shapes of the structured content tools return: knowledge entries,
+ * approvals, work requests and the list pages holding them. Tools
+ * register them as their outputSchema. API data goes through the to*
+ * functions here, which fill missing fields with null and drop unknown
+ * ones, and every result is validated against its tool's schema before
+ * it is returned (see executeTool).
+ */
+
+import { z } from 'zod';
+import { normalizeApproval, APPROVAL_STATUSES } from './approvals.js';
+
+export const REQUEST_STATUSES = ['open', 'in_progress', 'resolved'];
+export const REQUEST_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+export const ELICIT_OUTCOMES = ['recorded', 'dismissed', 'unsupported', 'failed'];
+export const WAIT_DECISIONS = ['approved', 'denied', 'expired', 'cancelled', 'timeout'];
+
+const text = z.string().nullable();
+const timestamp = z.string().nullable().describe('ISO 8601 date/time');
+const offsets = z.array(z.object({ start: z.number().int(), end: z.number().int() }));
+
+export const knowledgeEntrySchema = z.object({
+  id: text,
+  title: text,
+  key: text.describe('Slug of the title, unique within the namespace'),
+  namespace: text,
+  content_type: text,
+  tags: z.array(z.string()),
+  content: text,
+  created_at: timestamp,
+  updated_at: timestamp,
+});
+
+export const searchResultSchema = z.object({
+  id: text,
+  title: text,
+  key: text,
+  namespace: text,
+  tags: z.array(z.string()),
+  content_type: text,
+  score: z.number().nullable().describe('Relevance, 0-1'),
+  content: z.string().describe('The content, or a snippet of it around the first match'),
+  content_offset: z.number().int().describe('Where the snippet starts in the full content'),
+  truncated: z.boolean().describe('Whether content continues after the snippet'),
+  highlights: z.object({ title: offsets, content: offsets })
+    .describe('Offsets of the query terms in the returned title and content'),
+});
+
+export const approvalSchema = z.object({
+  id: text,
+  title: text,
+  description: text,
+  status: z.enum(APPROVAL_STATUSES),
+  api_status: text.describe('The status as BeeBoo reported it, when it differs from status'),
+  category: text,
+  urgency: text,
+  approvers: z.array(z.string()),
+  quorum: z.number().int().nullable(),
+  action: z.object({
+    command: z.string().optional(),
+    diff: z.string().optional(),
+    target: z.string().optional(),
+    parameters: z.record(z.unknown()).optional(),
+  }).nullable(),
+  expires_at: timestamp,
+  decided_by: text,
+  decided_at: timestamp,
+  decision_note: text,
+  cancel_reason: text,
+  created_at: timestamp,
+  updated_at: timestamp,
+});
+
+export const commentSchema = z.object({
+  id: text,
+  author: text,
+  body: z.string(),
+  created_at: timestamp,
+});
+
+export const workRequestSchema = z.object({
+  id: text,
+  title: text,
+  description: text,
+  // Not enums: a value BeeBoo adds later is passed through rather than guessed at
+  status: z.string().describe(`${REQUEST_STATUSES.join(', ')}, or another status as BeeBoo reports it`),
+  priority: z.string().describe(`${REQUEST_PRIORITIES.join(', ')}, or another priority as BeeBoo reports it`),
+  assignee: text,
+  resolution: text,
+  comments: z.array(commentSchema),
+  created_at: timestamp,
+  updated_at: timestamp,
+});
+
+export const waitResultSchema = z.object({
+  id: z.string(),
+  decision: z.enum(WAIT_DECISIONS),
+  status: z.enum(APPROVAL_STATUSES),
+  expires_at: timestamp,
+  note: text,
+  decided_by: text,
+  decided_at: timestamp,
+  elapsed_ms: z.number().int(),
+  polls: z.number().int(),
+});
+
+export const namespacesSchema = z.object({
+  namespaces: z.array(z.object({ namespace: z.string(), count: z.number().int().nullable() })),
+  default_namespace: z.string(),
+  complete: z.boolean().describe('False if the counts stopped short on a very large knowledge base'),
+});
+
+export const syncResultSchema = z.object({
+  direction: z.enum(['import', 'export', 'both']),
+  namespace: z.string(),
+  dir: z.string(),
+  dry_run: z.boolean(),
+  changes: z.array(z.object({
+    action: z.enum(['create', 'update', 'write', 'skip']),
+    key: z.string(),
+    title: z.string().optional(),
+    file: z.string().optional(),
+    id: text,
+    fields: z.array(z.string()).optional(),
+    diff: z.array(z.string()).optional(),
+    error: z.string().optional(),
+    notices: z.array(z.string()).optional(),
+  })),
+  unchanged: z.number().int(),
+});
+
+/**
+ * Paging fields merged into every list result
+ */
+export const pageShape = {
+  next_cursor: text.describe('Pass as cursor to get the next page; null on the last page'),
+  next_offset: z.number().int().optional().describe('Pass as offset to get the next page, when paging by offset'),
+  total: z.number().int().optional().describe('Total matching items, if BeeBoo reports it'),
+};
+
+export function toKnowledgeEntry(entry = {}) {
+  return {
+    id: toText(entry.id),
+    title: toText(entry.title),
+    key: toText(entry.key),
+    namespace: toText(entry.namespace),
+    content_type: toText(entry.content_type),
+    tags: toList(entry.tags),
+    content: toText(entry.content),
+    created_at: toText(entry.created_at),
+    updated_at: toText(entry.updated_at),
+  };
+}
+
+/**
+ * An approval in the normalized status model (see approvals.js)
+ */
+export function toApproval(approval = {}) {
+  const a = normalizeApproval(approval);
+  return {
+    id: toText(a.id),
+    title: toText(a.title),
+    description: toText(a.description),
+    status: a.status,
+    api_status: toText(a.api_status),
+    category: toText(a.category),
+    urgency: toText(a.urgency),
+    approvers: toList(a.approvers),
+    quorum: Number.isInteger(a.quorum) ? a.quorum : null,
+    action: toAction(a.action),
+    expires_at: toText(a.expires_at),
+    decided_by: toText(a.decided_by),
+    decided_at: toText(a.decided_at),
+    decision_note: toText(a.decision_note),
+    cancel_reason: toText(a.cancel_reason),
+    created_at: toText(a.created_at),
+    updated_at: toText(a.updated_at),
+  };
+}
+
+/**
+ * A work request; a missing status or priority takes BeeBoo's default,
+ * and any other value is kept as BeeBoo reports it
+ */
+export function toWorkRequest(request = {}) {
+  return {
+    id: toText(request.id),
+    title: toText(request.title),
+    description: toText(request.description),
+    status: toText(request.status) ?? 'open',
+    priority: toText(request.priority) ?? 'medium',
+    assignee: toText(request.assignee),
+    resolution: toText(request.resolution),
+    comments: Array.isArray(request.comments) ? request.comments.map(toComment) : [],
+    created_at: toText(request.created_at),
+    updated_at: toText(request.updated_at),
+  };
+}
+
+export function toComment(comment = {}) {
+  return {
+    id: toText(comment.id),
+    author: toText(comment.author),
+    body: String(comment.body ?? comment.comment ?? ''),
+    created_at: toText(comment.created_at),
+  };
+}
+
+function toText(value) {
+  return value === undefined || value === null ? null : String(value);
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value.map(String) : [];
+}
+
+/**
+ * An approval's action, keeping only the fields that have the expected type:
+ * one odd field must not make the approval unreadable
+ */
+function toAction(value) {
+  if (!isPlainObject(value)) return null;
+  const action = {};
+  for (const field of ['command', 'diff', 'target']) {
+    if (typeof value[field] === 'string') action[field] = value[field];
+  }
+  if (isPlainObject(value.parameters)) action.parameters = value.parameters;
+  return action;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,206 @@
+/**
+ * scrub.js — Secret and PII scanning for outgoing payloads
+ *
+ * Tool arguments that are sent to BeeBoo and stored there (knowledge
+ * content, approval descriptions, work requests and comments) are scanned
+ * before they leave the machine. Each detector has an action:
+ *
+ *   block — fail the tool call without sending anything
+ *   mask  — replace the secret with [REDACTED:<detector>] and send the rest
+ *   warn  — send as-is and flag it in the tool result
+ *   off   — skip the detector
+ *
+ * Example config:
+ *   { "scrub": { "actions": { "email": "off", "password": "block" } } }
+ */
+
+import { getConfig } from './config.js';
+import { line } from './format.js';
+
+// Checked in order, so URL credentials are masked before the email detector sees them.
+// A named `secret` group limits masking to the value, keeping the label for context;
+// patterns with one need the `d` flag so the group's position is known.
+const DETECTORS = [
+  {
+    name: 'private_key',
+    label: 'a private key',
+    action: 'block',
+    patterns: [/-----BEGIN [A-Z0-9 ]*PRIVATE KEY( BLOCK)?-----[\s\S]*?(?:-----END [A-Z0-9 ]*PRIVATE KEY( BLOCK)?-----|$)/g],
+  },
+  {
+    name: 'aws_access_key',
+    label: 'an AWS access key ID',
+    action: 'block',
+    patterns: [/\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g],
+  },
+  {
+    name: 'aws_secret_key',
+    label: 'an AWS secret access key',
+    action: 'block',
+    patterns: [/\baws_?secret_?access_?key\b["']?\s*[:=]\s*["']?(?<secret>[A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/dgi],
+  },
+  {
+    name: 'gcp_service_account_key',
+    label: 'a Google Cloud service account key',
+    action: 'block',
+    patterns: [/"private_key_id"\s*:\s*"(?<secret>[a-f0-9]{40})"/dg],
+  },
+  {
+    name: 'azure_storage_key',
+    label: 'an Azure storage account key',
+    action: 'block',
+    patterns: [/\bAccountKey=(?<secret>[A-Za-z0-9+/]{80,}={0,2})/dg],
+  },
+  {
+    name: 'github_token',
+    label: 'a GitHub token',
+    action: 'block',
+    patterns: [/\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g],
+  },
+  {
+    name: 'slack_token',
+    label: 'a Slack token',
+    action: 'block',
+    patterns: [/\bxox[abposr]-[A-Za-z0-9-]{10,}/g],
+  },
+  {
+    name: 'api_key',
+    label: 'an API key',
+    action: 'block',
+    patterns: [
+      /\b(?:sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}|[sr]k_(?:live|test)_[A-Za-z0-9]{16,}|bb_sk_[A-Za-z0-9_-]{8,}|AIza[0-9A-Za-z_-]{35})/g,
+      /\b(?:api[_-]?key|access[_-]?token|auth[_-]?token|client[_-]?secret)\b["']?\s*[:=]\s*["']?(?<secret>[A-Za-z0-9._~+/=-]{12,})/dgi,
+    ],
+  },
+  {
+    name: 'jwt',
+    label: 'a JSON Web Token',
+    action: 'block',
+    patterns: [/\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g],
+  },
+  {
+    name: 'bearer_token',
+    label: 'a bearer token',
+    action: 'block',
+    patterns: [/\bBearer\s+(?<secret>[A-Za-z0-9._~+/-]{20,}=*)/dg],
+  },
+  {
+    name: 'password',
+    label: 'a password',
+    action: 'mask',
+    patterns: [
+      /\b(?:password|passwd|pwd|passphrase)\b["']?\s*[:=]\s*["']?(?<secret>[^\s"',;]+)/dgi,
+      /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:(?<secret>[^\s@/]+)@/dgi,
+    ],
+  },
+  {
+    name: 'email',
+    label: 'an email address',
+    action: 'warn',
+    patterns: [/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g],
+  },
+];
+
+/**
+ * Scan the given fields of a tool's arguments
+ * @param {string[]} fields - Argument names whose values are sent to BeeBoo
+ * @param {object} args - Validated tool arguments
+ * @returns {{args: object, error: string|null, notices: string[]}} `args` has
+ *   masked and blocked values replaced (safe to log); `error` is set if the
+ *   call must not proceed; `notices` are lines to add to the tool result's view
+ */
+export function scrubArgs(fields, args) {
+  const actions = getActions();
+  if (!actions || !fields?.length) return { args, error: null, notices: [] };
+
+  const scrubbed = { ...args };
+  const findings = [];
+
+  for (const field of fields) {
+    if (scrubbed[field] === undefined) continue;
+    scrubbed[field] = scrubValue(scrubbed[field], field, actions, findings);
+  }
+
+  const describe = (action) => findings
+    .filter(f => f.action === action)
+    .map(f => `${f.label} in ${f.field}`)
+    .join(', ');
+
+  const blocked = describe('block');
+  const masked = describe('mask');
+  const warned = describe('warn');
+
+  return {
+    args: scrubbed,
+    error: blocked
+      ? `Blocked before sending to BeeBoo: found ${blocked}. Remove it and try again; refer to secrets by where they are stored instead of including them.`
+      : null,
+    notices: [
+      masked && line(`Masked before sending: ${masked}.`, '🔒'),
+      warned && line(`Sent as-is, but check it is meant to be shared: ${warned}.`, '⚠️'),
+    ].filter(Boolean),
+  };
+}
+
+/**
+ * Check the scrub.actions setting names known detectors
+ */
+export function validateScrubConfig() {
+  getActions();
+}
+
+/**
+ * Effective action per detector, or null when scrubbing is disabled
+ */
+function getActions() {
+  const { scrub } = getConfig();
+  if (scrub?.enabled === false) return null;
+
+  const overrides = scrub?.actions || {};
+  for (const name of Object.keys(overrides)) {
+    if (!DETECTORS.some(d => d.name === name)) {
+      throw new Error(`Unknown scrub detector "${name}" in scrub.actions (known: ${DETECTORS.map(d => d.name).join(', ')})`);
+    }
+  }
+
+  return Object.fromEntries(DETECTORS.map(d => [d.name, overrides[d.name] || d.action]));
+}
+
+/**
+ * Scrub a string, or the strings in an array or object, recording findings
+ */
+function scrubValue(value, field, actions, findings) {
+  if (Array.isArray(value)) {
+    return value.map(item => scrubValue(item, field, actions, findings));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+      [key, scrubValue(item, `${field}.${key}`, actions, findings)]
+    ));
+  }
+  if (typeof value !== 'string') return value;
+
+  let text = value;
+  for (const detector of DETECTORS) {
+    const action = actions[detector.name];
+    if (action === 'off') continue;
+
+    for (const pattern of detector.patterns) {
+      let scrubbed = '';
+      let end = 0;
+      for (const match of text.matchAll(pattern)) {
+        if (!findings.some(f => f.detector === detector.name && f.field === field)) {
+          findings.push({ detector: detector.name, label: detector.label, field, action });
+        }
+        if (action === 'warn') continue;
+
+        // Blocked values are masked too, so the audit log never records them
+        const [from, to] = match.indices?.groups?.secret || [match.index, match.index + match[0].length];
+        scrubbed += `${text.slice(end, from)}[REDACTED:${detector.name}]`;
+        end = to;
+      }
+      text = scrubbed + text.slice(end);
+    }
+  }
+  return text;
+}
@@ -2,13 +2,21 @@
  * server.js — MCP Server implementation for BeeBoo
  * 
  * Implements the Model Context Protocol using the official SDK,
- * exposing BeeBoo's Human-in-the-Loop infrastructure to AI agents.
+ * exposing BeeBoo's Human-in-the-Loop infrastructure to AI agents
+ * as tools, resources and prompts.
  */
 
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { z } from 'zod';
-import { tools, executeTool } from './tools.js';
+import { tools, executeTool, toolInputSchema } from './tools.js';
+import { loadConfig, getConfig, isToolEnabled } from './config.js';
+import { renderView } from './format.js';
+import { loadPolicy } from './policy.js';
+import { validateScrubConfig } from './scrub.js';
+import { registerResources } from './resources.js';
+import { registerPrompts } from './prompts.js';
+import { startHttpServer } from './http.js';
+import { startWebhookReceiver, forwardWebhookEvents, DEFAULT_WEBHOOK_PATH } from './webhooks.js';
 
 const SERVER_NAME = 'beeboo';
 const SERVER_VERSION = '0.1.0';
@@ -20,10 +28,21 @@ function createServer() {
   const server = new McpServer({
     name: SERVER_NAME,
     version: SERVER_VERSION,
+  }, {
+    // Webhook events are forwarded as log messages
+    capabilities: { logging: {} },
   });
 
   // Register all BeeBoo tools
   registerTools(server);
+  
+  // Expose entries, approvals and requests as resources
+  registerResources(server);
+  
+  // Human-in-the-loop workflow templates
+  registerPrompts(server);
+  
+  forwardWebhookEvents(server);
 
   return server;
 }
@@ -32,223 +51,108 @@ function createServer() {
  * Register all tools with the MCP server
  */
 function registerTools(server) {
-  // beeboo_knowledge_search
-  server.registerTool(
-    'beeboo_knowledge_search',
-    {
-      description: 'Search the BeeBoo knowledge base for information using semantic search',
-      inputSchema: {
-        query: z.string().describe('Search query - can be natural language')
-      }
-    },
-    async ({ query }) => {
-      try {
-        const result = await executeTool('beeboo_knowledge_search', { query });
-        return {
-          content: [{ type: 'text', text: result.text }],
-          structuredContent: result.data ? { results: result.data } : undefined
-        };
-      } catch (error) {
-        return {
-          content: [{ type: 'text', text: `Error: ${error.message}` }],
-          isError: true
-        };
-      }
-    }
-  );
-
-  // beeboo_knowledge_add
-  server.registerTool(
-    'beeboo_knowledge_add',
-    {
-      description: 'Add a new entry to the BeeBoo knowledge base',
-      inputSchema: {
-        title: z.string().describe('Title of the knowledge entry'),
-        content: z.string().describe('Content/body of the entry'),
-        tags: z.array(z.string()).optional().describe('Optional tags for categorization')
-      }
-    },
-    async ({ title, content, tags }) => {
-      try {
-        const result = await executeTool('beeboo_knowledge_add', { title, content, tags });
-        return {
-          content: [{ type: 'text', text: result.text }],
-          structuredContent: result.data
-        };
-      } catch (error) {
-        return {
-          content: [{ type: 'text', text: `Error: ${error.message}` }],
-          isError: true
-        };
-      }
-    }
-  );
-
-  // beeboo_knowledge_list
-  server.registerTool(
-    'beeboo_knowledge_list',
-    {
-      description: 'List all knowledge base entries',
-      inputSchema: {}
-    },
-    async () => {
-      try {
-        const result = await executeTool('beeboo_knowledge_list', {});
-        return {
-          content: [{ type: 'text', text: result.text }],
-          structuredContent: { entries: result.data }
-        };
-      } catch (error) {
-        return {
-          content: [{ type: 'text', text: `Error: ${error.message}` }],
-          isError: true
-        };
-      }
-    }
-  );
-
-  // beeboo_approval_request
-  server.registerTool(
-    'beeboo_approval_request',
-    {
-      description: 'Request human approval for an action. Use this when you need explicit permission before proceeding with a potentially impactful operation.',
-      inputSchema: {
-        title: z.string().describe('Brief description of what needs approval'),
-        description: z.string().describe('Detailed explanation of the request and why approval is needed')
-      }
-    },
-    async ({ title, description }) => {
-      try {
-        const result = await executeTool('beeboo_approval_request', { title, description });
-        return {
-          content: [{ type: 'text', text: result.text }],
-          structuredContent: result.data
-        };
-      } catch (error) {
-        return {
-          content: [{ type: 'text', text: `Error: ${error.message}` }],
-          isError: true
-        };
-      }
-    }
-  );
-
-  // beeboo_approval_check
-  server.registerTool(
-    'beeboo_approval_check',
-    {
-      description: 'Check the status of an approval request',
-      inputSchema: {
-        id: z.string().describe('The approval request ID to check')
-      }
-    },
-    async ({ id }) => {
-      try {
-        const result = await executeTool('beeboo_approval_check', { id });
-        return {
-          content: [{ type: 'text', text: result.text }],
-          structuredContent: result.data
-        };
-      } catch (error) {
-        return {
-          content: [{ type: 'text', text: `Error: ${error.message}` }],
-          isError: true
-        };
-      }
-    }
-  );
-
-  // beeboo_approvals_list
-  server.registerTool(
-    'beeboo_approvals_list',
-    {
-      description: 'List all approval requests with optional status filter',
-      inputSchema: {
-        status: z.enum(['pending', 'approved', 'rejected']).optional()
-          .describe('Filter by status: pending, approved, or rejected')
-      }
-    },
-    async ({ status }) => {
-      try {
-        const result = await executeTool('beeboo_approvals_list', { status });
-        return {
-          content: [{ type: 'text', text: result.text }],
-          structuredContent: { approvals: result.data }
-        };
-      } catch (error) {
-        return {
-          content: [{ type: 'text', text: `Error: ${error.message}` }],
-          isError: true
-        };
+  for (const tool of Object.values(tools)) {
+    if (!isToolEnabled(tool.name)) continue;
+    
+    server.registerTool(
+      tool.name,
+      {
+        description: tool.description,
+        inputSchema: toolInputSchema(tool),
+        outputSchema: tool.outputSchema,
+        annotations: tool.annotations
+      },
+      async (args, extra) => {
+        try {
+          // Client identity and capabilities from the initialize handshake
+          const client = server.server.getClientVersion();
+          const clientCapabilities = server.server.getClientCapabilities();
+          const { view, structuredContent, notices } = await executeTool(tool.name, args, { ...extra, client, clientCapabilities });
+          // The same structured content in every format; only the text differs
+          const format = args.format || getConfig().format;
+          const content = [{ type: 'text', text: renderView(view, format, structuredContent) }];
+          // The json text is only the structured content, so scrubbing notices get a block of their own
+          if (format === 'json' && notices.length > 0) {
+            content.push({ type: 'text', text: renderView([notices], 'plain') });
+          }
+          return { content, structuredContent };
+        } catch (error) {
+          return {
+            content: [{ type: 'text', text: `Error: ${error.message}` }],
+            isError: true
+          };
+        }
       }
-    }
-  );
-
-  // beeboo_request_create
-  server.registerTool(
-    'beeboo_request_create',
-    {
-      description: 'Create a work request for the team. Use this to queue up tasks that need human attention or execution.',
-      inputSchema: {
-        title: z.string().describe('Brief title of the work request'),
-        description: z.string().optional().describe('Detailed description of what needs to be done'),
-        priority: z.enum(['low', 'medium', 'high', 'critical']).optional()
-          .describe('Priority level: low, medium, high, or critical')
-      }
-    },
-    async ({ title, description, priority }) => {
-      try {
-        const result = await executeTool('beeboo_request_create', { title, description, priority });
-        return {
-          content: [{ type: 'text', text: result.text }],
-          structuredContent: result.data
-        };
-      } catch (error) {
-        return {
-          content: [{ type: 'text', text: `Error: ${error.message}` }],
-          isError: true
-        };
-      }
-    }
-  );
-
-  // beeboo_requests_list
-  server.registerTool(
-    'beeboo_requests_list',
-    {
-      description: 'List all work requests with optional status filter',
-      inputSchema: {
-        status: z.enum(['open', 'in_progress', 'resolved']).optional()
-          .describe('Filter by status: open, in_progress, or resolved')
-      }
-    },
-    async ({ status }) => {
-      try {
-        const result = await executeTool('beeboo_requests_list', { status });
-        return {
-          content: [{ type: 'text', text: result.text }],
-          structuredContent: { requests: result.data }
-        };
-      } catch (error) {
-        return {
-          content: [{ type: 'text', text: `Error: ${error.message}` }],
-          isError: true
-        };
-      }
-    }
-  );
+    );
+  }
 }
 
 /**
- * Start the MCP server with stdio transport
+ * Start the MCP server
+ * @param {object} [options]
+ * @param {'stdio'|'http'} [options.transport] - Transport to serve (default stdio)
+ * @param {string} [options.host] - HTTP bind address
+ * @param {number} [options.port] - HTTP port
+ * @param {string} [options.authToken] - Bearer token required by the HTTP transport
+ * @param {string} [options.profile] - Config profile to use
+ * @param {string} [options.configPath] - Config file to use instead of searching
+ * @param {object} [options.overrides] - Config settings from command-line flags
  */
-export async function startServer() {
+export async function startServer(options = {}) {
+  let config;
+  try {
+    config = loadConfig({
+      profile: options.profile,
+      configPath: options.configPath,
+      overrides: options.overrides,
+    });
+    if (config.policyFile) {
+      loadPolicy(config.policyFile);
+    }
+    validateScrubConfig();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+  
   // Check for API key
-  if (!process.env.BEEBOO_API_KEY) {
+  if (!config.apiKey) {
     console.error('Error: BEEBOO_API_KEY environment variable is required');
+    console.error('(or set apiKey/apiKeyCommand in a config profile)');
     console.error('Get your API key at https://beeboo.ai/settings/api-keys');
     process.exit(1);
   }
+  
+  if (config.webhooks?.port !== undefined) {
+    try {
+      const receiver = await startWebhookReceiver(config.webhooks);
+      const { address, port } = receiver.address();
+      const host = address.includes(':') ? `[${address}]` : address;
+      console.error(`BeeBoo webhook receiver listening on http://${host}:${port}${config.webhooks.path || DEFAULT_WEBHOOK_PATH}`);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  if (options.transport === 'http') {
+    try {
+      const httpServer = await startHttpServer({
+        createServer,
+        host: options.host,
+        port: options.port,
+        authToken: options.authToken,
+        allowedHosts: options.allowedHosts,
+      });
+      const { address, port } = httpServer.address();
+      const host = address.includes(':') ? `[${address}]` : address;
+      console.error(`BeeBoo MCP server v${SERVER_VERSION} listening on http://${host}:${port}/mcp${profileLabel(config)}`);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+    return;
+  }
 
   const server = createServer();
   const transport = new StdioServerTransport();
@@ -256,7 +160,11 @@ export async function startServer() {
   await server.connect(transport);
   
   // Log to stderr (not stdout, which is used for MCP protocol)
-  console.error(`BeeBoo MCP server v${SERVER_VERSION} started`);
+  console.error(`BeeBoo MCP server v${SERVER_VERSION} started${profileLabel(config)}`);
+}
+
+function profileLabel(config) {
+  return config.profile ? ` (profile: ${config.profile})` : '';
 }
 
 export { createServer };
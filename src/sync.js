@@ -0,0 +1,480 @@
+/**
+ * sync.js — Mirror knowledge entries to and from a Markdown directory
+ *
+ * Each entry is one .md file with YAML-style frontmatter:
+ *
+ *   ---
+ *   title: Deploy runbook
+ *   key: deploy-runbook
+ *   namespace: default
+ *   tags: [deploy, runbook]
+ *   id: 0b6c1f7e-2d4a-4e1b-9c55-2f8e0a3d9e01
+ *   ---
+ *
+ *   Deploys go out from the main branch...
+ *
+ * Files and entries are matched by `id`, then by `key` (which defaults to
+ * the slug of the title, as in beeboo_knowledge_add). A sync works on one
+ * namespace and runs in one direction:
+ *
+ *   import — create or update entries from files
+ *   export — write entries out to <dir>/<key>.md
+ *   both   — both of the above; when a file and its entry differ, the
+ *            more recently modified side wins
+ *
+ * Nothing is ever deleted on either side.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { api, isOk, getData, getError, getPage } from './api.js';
+import { getConfig } from './config.js';
+import { scrubArgs } from './scrub.js';
+import { heading } from './format.js';
+
+export const DIRECTIONS = ['import', 'export', 'both'];
+
+const LIST_PAGE_SIZE = 100;
+const LIST_MAX_PAGES = 100;
+const DIFF_MAX_LINES = 20;
+const DIFF_MAX_CELLS = 1000000;
+
+/**
+ * Stable knowledge key for a title: lowercase words joined by dashes
+ */
+export function slugify(title) {
+  return title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Compare a directory with a namespace and, unless dryRun, apply the changes
+ * @param {object} options
+ * @param {string} options.dir - Directory of .md files (searched recursively)
+ * @param {'import'|'export'|'both'} [options.direction] - Default 'both'
+ * @param {string} [options.namespace] - Default: the configured namespace
+ * @param {boolean} [options.dryRun] - Only report what would change
+ * @param {string} [options.within] - Resolve dir relative to this directory and refuse
+ *   a dir outside it
+ * @returns {Promise<{direction: string, namespace: string, dir: string, dry_run: boolean,
+ *   changes: object[], unchanged: number}>}
+ */
+export async function syncKnowledge({ dir, direction = 'both', namespace, dryRun = false, within }) {
+  if (!DIRECTIONS.includes(direction)) {
+    throw new Error(`Unknown sync direction: ${direction} (expected ${DIRECTIONS.join(', ')})`);
+  }
+
+  const root = within ? resolveWithin(within, dir) : path.resolve(dir);
+  namespace = namespace || getConfig().namespace;
+
+  if (direction !== 'export' && !fs.existsSync(root)) {
+    throw new Error(`Directory not found: ${root}`);
+  }
+
+  const allFiles = fs.existsSync(root) ? readMarkdownFiles(root) : [];
+  // Files that name another namespace belong to a different sync
+  const files = allFiles.filter(f => f.error || !f.namespace || f.namespace === namespace);
+  const entries = await fetchEntries(namespace);
+  const { changes, unchanged } = planSync(root, files, entries, direction, allFiles.map(f => f.path));
+
+  if (!dryRun) {
+    for (const change of changes) {
+      await applyChange(change, namespace);
+    }
+  }
+
+  return { direction, namespace, dir: root, dry_run: dryRun, changes: changes.map(describeChange), unchanged };
+}
+
+/**
+ * Resolve dir against base, refusing anything outside base, including
+ * through a symlinked directory
+ */
+function resolveWithin(base, dir) {
+  base = path.resolve(base);
+  const root = path.resolve(base, dir);
+  const inside = (parent, child) => {
+    const rel = path.relative(parent, child);
+    return rel === '' || (rel.split(path.sep)[0] !== '..' && !path.isAbsolute(rel));
+  };
+
+  if (!inside(base, root) || (fs.existsSync(root) && !inside(fs.realpathSync(base), fs.realpathSync(root)))) {
+    throw new Error(`Directory ${dir} is outside the sync root ${base} (set syncRoot to sync elsewhere)`);
+  }
+  return root;
+}
+
+/**
+ * A sync result as a view (see format.js), for the tool and CLI
+ */
+export function syncResultView(result) {
+  const verb = result.dry_run ? 'Would sync' : 'Synced';
+  const title = [heading('🔄', `${verb} ${result.dir} ${arrow(result.direction)} namespace "${result.namespace}"`)];
+
+  if (result.changes.length === 0) {
+    return [title, [`Everything is up to date (${result.unchanged} unchanged).`]];
+  }
+
+  const lines = [];
+  for (const change of result.changes) {
+    const target = change.file ? path.relative(result.dir, change.file) : change.key;
+    const label = {
+      create: '+ create entry',
+      update: '~ update entry',
+      write: '→ write file',
+      skip: '! skip',
+    }[change.action];
+    const failed = change.error && change.action !== 'skip' ? ` — FAILED: ${change.error}` : '';
+    lines.push(`${label} "${change.title}" (${target})${change.fields?.length ? ` [${change.fields.join(', ')}]` : ''}${failed}`);
+    if (change.action === 'skip') lines.push(`    ${change.error}`);
+    for (const line of change.diff || []) lines.push(`    ${line}`);
+  }
+
+  const counts = ['create', 'update', 'write', 'skip']
+    .map(action => [action, result.changes.filter(c => c.action === action).length])
+    .filter(([, n]) => n > 0)
+    .map(([action, n]) => `${n} ${action}`);
+  const summary = `${counts.join(', ')}; ${result.unchanged} unchanged.${result.dry_run ? ' Dry run: nothing was changed.' : ''}`;
+  return [title, lines, [summary]];
+}
+
+/**
+ * Parse a Markdown file with optional frontmatter
+ * @returns {{meta: object, body: string}}
+ */
+export function parseMarkdown(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { meta: {}, body: text.trim() };
+
+  const meta = {};
+  let listKey = null;
+
+  for (const line of match[1].split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+
+    const item = line.match(/^\s+-\s*(.*)$/);
+    if (item && listKey) {
+      meta[listKey].push(parseScalar(item[1]));
+      continue;
+    }
+
+    const field = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+    if (!field) throw new Error(`Invalid frontmatter line: ${line}`);
+
+    const [, key, value] = field;
+    listKey = null;
+    if (value === '') {
+      meta[key] = [];
+      listKey = key;
+    } else if (value.startsWith('[') && value.endsWith(']')) {
+      meta[key] = splitList(value.slice(1, -1)).map(parseScalar);
+    } else {
+      meta[key] = parseScalar(value);
+    }
+  }
+
+  return { meta, body: text.slice(match[0].length).trim() };
+}
+
+/**
+ * Render an entry as a Markdown file with frontmatter
+ */
+export function renderMarkdown(entry) {
+  const meta = [
+    ['title', entry.title],
+    ['key', entry.key],
+    ['namespace', entry.namespace],
+    ['tags', entry.tags?.length ? `[${entry.tags.map(formatScalar).join(', ')}]` : null],
+    ['id', entry.id],
+  ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+  const header = meta.map(([key, value]) => `${key}: ${key === 'tags' ? value : formatScalar(value)}`);
+  return `---\n${header.join('\n')}\n---\n\n${(entry.content || '').trim()}\n`;
+}
+
+/**
+ * Work out what to create, update or write, matching files to entries
+ */
+function planSync(root, files, entries, direction, existingPaths) {
+  const changes = [];
+  let unchanged = 0;
+  const matched = new Set();
+
+  const byId = new Map(entries.map(e => [e.id, e]));
+  const byKey = new Map(entries.map(e => [e.key || slugify(e.title || ''), e]));
+
+  for (const file of files) {
+    if (file.error) {
+      changes.push({ action: 'skip', file: file.path, key: null, title: path.basename(file.path), error: file.error });
+      continue;
+    }
+
+    const entry = (file.id && byId.get(file.id)) || byKey.get(file.key);
+    if (entry) matched.add(entry);
+
+    if (!entry) {
+      if (direction !== 'export') changes.push({ action: 'create', file: file.path, local: file });
+      continue;
+    }
+
+    const fields = differingFields(file, entry);
+    if (fields.length === 0) {
+      unchanged++;
+      continue;
+    }
+
+    const importWins = direction === 'import' ||
+      (direction === 'both' && file.mtime >= entryTime(entry));
+    changes.push(importWins
+      ? { action: 'update', file: file.path, local: file, remote: entry, fields }
+      : { action: 'write', file: file.path, local: file, remote: entry, fields });
+  }
+
+  if (direction !== 'import') {
+    const taken = new Set(existingPaths);
+    for (const entry of entries) {
+      if (matched.has(entry)) continue;
+
+      // Slugged again so a key from the API can never point outside the directory
+      const key = slugify(entry.key || entry.title || '') || slugify(String(entry.id));
+      const file = path.join(root, `${key}.md`);
+      if (taken.has(file)) {
+        // A file for a different entry already has this name; never clobber it
+        changes.push({ action: 'skip', file, key, title: entry.title, error: `${path.basename(file)} already holds a different entry` });
+        continue;
+      }
+      if (isSymlink(file)) {
+        // Not read as an entry either; writing would follow it out of the directory
+        changes.push({ action: 'skip', file, key, title: entry.title, error: `${path.basename(file)} is a symbolic link; sync never writes through links` });
+        continue;
+      }
+      taken.add(file);
+      changes.push({ action: 'write', file, remote: entry, fields: ['new file'] });
+    }
+  }
+
+  return { changes, unchanged };
+}
+
+/**
+ * Carry out one planned change, recording any error on it
+ */
+async function applyChange(change, namespace) {
+  try {
+    if (change.action === 'create' || change.action === 'update') {
+      const { title, content, tags, key } = change.local;
+      const scrubbed = scrubArgs(['title', 'content', 'tags'], { title, content, tags });
+      if (scrubbed.error) throw new Error(scrubbed.error);
+      change.notices = scrubbed.notices.map(notice => notice.text);
+
+      const res = change.action === 'create'
+        ? await api.createKnowledgeEntry({ ...scrubbed.args, key, namespace, content_type: 'markdown' })
+        : await api.updateKnowledgeEntry(change.remote.id, scrubbed.args);
+      if (!isOk(res)) throw new Error(getError(res));
+      change.id = getData(res)?.id || change.remote?.id;
+    } else if (change.action === 'write') {
+      fs.mkdirSync(path.dirname(change.file), { recursive: true });
+      // O_NOFOLLOW, in case a link appeared after planning
+      const fd = fs.openSync(change.file, fs.constants.O_WRONLY | fs.constants.O_CREAT | fs.constants.O_TRUNC | (fs.constants.O_NOFOLLOW ?? 0), 0o644);
+      try {
+        fs.writeFileSync(fd, renderMarkdown({ ...change.remote, namespace: change.remote.namespace || namespace }));
+      } finally {
+        fs.closeSync(fd);
+      }
+    }
+  } catch (err) {
+    change.error = err.message;
+  }
+}
+
+/**
+ * The reportable part of a change: no full contents, plus a short diff
+ */
+function describeChange(change) {
+  const { local, remote } = change;
+  const described = {
+    action: change.action,
+    key: change.key ?? local?.key ?? remote?.key ?? slugify(remote?.title || ''),
+    title: change.title ?? local?.title ?? remote?.title,
+    file: change.file,
+    id: change.id ?? remote?.id ?? null,
+  };
+  if (change.fields) described.fields = change.fields;
+  if (local && remote && change.fields?.includes('content')) {
+    described.diff = change.action === 'update'
+      ? diffLines(remote.content || '', local.content)
+      : diffLines(local.content, remote.content || '');
+  }
+  if (change.error) described.error = change.error;
+  if (change.notices?.length) described.notices = change.notices;
+  return described;
+}
+
+/**
+ * Read every .md file under root
+ */
+function readMarkdownFiles(root) {
+  const files = [];
+
+  const walk = (dir) => {
+    for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, dirent.name);
+      if (dirent.isDirectory() && !dirent.name.startsWith('.')) {
+        walk(full);
+      } else if (dirent.isFile() && dirent.name.endsWith('.md')) {
+        files.push(readMarkdownFile(full));
+      }
+    }
+  };
+  walk(root);
+  return files;
+}
+
+function readMarkdownFile(file) {
+  try {
+    const { meta, body } = parseMarkdown(fs.readFileSync(file, 'utf8'));
+    const heading = body.match(/^#\s+(.+)$/m)?.[1].trim();
+    const title = String(meta.title || heading || path.basename(file, '.md'));
+
+    return {
+      path: file,
+      id: meta.id ? String(meta.id) : null,
+      key: meta.key ? String(meta.key) : slugify(title),
+      title,
+      namespace: meta.namespace ? String(meta.namespace) : null,
+      tags: [].concat(meta.tags || []).map(String),
+      content: body,
+      mtime: fs.statSync(file).mtimeMs,
+    };
+  } catch (err) {
+    return { path: file, error: `Cannot read ${path.basename(file)}: ${err.message}` };
+  }
+}
+
+/**
+ * Every entry in a namespace, following cursors
+ */
+async function fetchEntries(namespace) {
+  const entries = [];
+  let cursor;
+  let pages = 0;
+  do {
+    const res = await api.listKnowledgeEntries({ namespace, limit: LIST_PAGE_SIZE, cursor });
+    if (!isOk(res)) {
+      throw new Error(`Failed to list entries: ${getError(res)}`);
+    }
+    const { items, nextCursor } = getPage(res);
+    entries.push(...items);
+    cursor = nextCursor;
+    pages++;
+  } while (cursor && pages < LIST_MAX_PAGES);
+  
+  // A partial listing would plan imports over entries that exist
+  if (cursor) {
+    throw new Error(`Namespace "${namespace}" has more than ${LIST_MAX_PAGES * LIST_PAGE_SIZE} entries, more than sync handles`);
+  }
+  return entries;
+}
+
+function isSymlink(file) {
+  try {
+    return fs.lstatSync(file).isSymbolicLink();
+  } catch {
+    return false;
+  }
+}
+
+function differingFields(file, entry) {
+  const fields = [];
+  if (file.title !== (entry.title || '')) fields.push('title');
+  if (file.content.trim() !== (entry.content || '').trim()) fields.push('content');
+  if ([...file.tags].sort().join('\n') !== [...(entry.tags || [])].sort().join('\n')) fields.push('tags');
+  return fields;
+}
+
+function entryTime(entry) {
+  const time = Date.parse(entry.updated_at || entry.created_at || '');
+  return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Changed lines between two texts, as "- old" / "+ new", capped in length
+ */
+function diffLines(before, after) {
+  const a = before.trim().split('\n');
+  const b = after.trim().split('\n');
+
+  if (a.length * b.length > DIFF_MAX_CELLS) {
+    return [`(content changed: ${a.length} → ${b.length} lines)`];
+  }
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      out.push(`- ${a[i++]}`);
+    } else {
+      out.push(`+ ${b[j++]}`);
+    }
+  }
+
+  if (out.length > DIFF_MAX_LINES) {
+    return [...out.slice(0, DIFF_MAX_LINES), `... ${out.length - DIFF_MAX_LINES} more changed lines`];
+  }
+  return out;
+}
+
+function arrow(direction) {
+  return direction === 'import' ? '→' : direction === 'export' ? '←' : '↔';
+}
+
+function parseScalar(value) {
+  const trimmed = value.trim();
+  if (trimmed.startsWith('"') && trimmed.endsWith('"')) return JSON.parse(trimmed);
+  if (trimmed.startsWith("'") && trimmed.endsWith("'")) return trimmed.slice(1, -1).replace(/''/g, "'");
+  return trimmed;
+}
+
+/**
+ * Split an inline list on commas outside quotes
+ */
+function splitList(value) {
+  const items = [];
+  let current = '';
+  let quote = null;
+  for (const char of value) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ',') {
+      items.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (current.trim()) items.push(current);
+  return items;
+}
+
+/**
+ * Quote a frontmatter value unless it is plainly safe to leave bare
+ */
+function formatScalar(value) {
+  const text = String(value);
+  return /^[A-Za-z0-9][\w .\/@+-]*$/.test(text) && !/\s$/.test(text)
+    ? text
+    : JSON.stringify(text);
+}
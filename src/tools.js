@@ -5,10 +5,115 @@
  */
 
 import { z } from 'zod';
-import { api, isOk, getData, getError } from './api.js';
+import { api, isOk, getData, getError, getPage } from './api.js';
+import { getConfig } from './config.js';
+import { waitForApproval, elicitDecision, normalizeApproval, approvalStatusIcon, toApiStatus, APPROVAL_STATUSES } from './approvals.js';
+import { enforcePolicy } from './policy.js';
+import { withAudit } from './audit.js';
+import { scrubArgs } from './scrub.js';
+import { withoutCache } from './cache.js';
+import { syncKnowledge, syncResultView, slugify, DIRECTIONS } from './sync.js';
+import { heading, line, field, fields, item, bullet, code, renderView, FORMATS } from './format.js';
+import {
+  knowledgeEntrySchema, searchResultSchema, approvalSchema, workRequestSchema, commentSchema,
+  waitResultSchema, namespacesSchema, syncResultSchema, pageShape,
+  toKnowledgeEntry, toApproval, toWorkRequest, toComment,
+  REQUEST_STATUSES, REQUEST_PRIORITIES, ELICIT_OUTCOMES
+} from './schemas.js';
+
+// Approval triage fields
+const APPROVAL_CATEGORIES = ['general', 'deployment', 'infrastructure', 'data', 'access', 'security', 'financial', 'communication'];
+const APPROVAL_URGENCIES = ['low', 'normal', 'high', 'critical'];
+
+// Limits for beeboo_approval_wait
+const WAIT_DEFAULT_TIMEOUT_S = 300;
+const WAIT_MAX_TIMEOUT_S = 3600;
+
+// Work request lifecycle: status -> statuses it may move to
+const REQUEST_TRANSITIONS = {
+  open: ['in_progress', 'resolved'],
+  in_progress: ['open', 'resolved'],
+  resolved: ['open'],
+};
+
+// Knowledge namespaces: "*" reads across all of them
+const ALL_NAMESPACES = '*';
+const NAMESPACE_SCAN_PAGE_SIZE = 100;
+const NAMESPACE_SCAN_MAX_PAGES = 20;
+
+// beeboo_knowledge_add: what to do when the key is taken, and how close a
+// search hit must score to count as a near-duplicate
+const CONFLICT_STRATEGIES = ['error', 'update', 'suffix'];
+const MAX_KEY_SUFFIX = 50;
+const KEY_SCAN_MAX_PAGES = 20;
+const NEAR_DUPLICATE_MIN_SCORE = 0.8;
+
+// Knowledge search results and snippets
+const SEARCH_DEFAULT_LIMIT = 10;
+const SEARCH_MAX_LIMIT = 50;
+const SNIPPET_DEFAULT_LENGTH = 200;
+const SNIPPET_MAX_LENGTH = 5000;
+
+// Paging for the list tools
+const LIST_DEFAULT_LIMIT = 25;
+const LIST_MAX_LIMIT = 100;
+
+// Date.parse alone would also take "1" or "March 3"
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const isoDate = z.string()
+  .refine((v) => ISO_DATE_PATTERN.test(v) && !Number.isNaN(Date.parse(v)), 'Expected an ISO 8601 date or datetime, e.g. 2025-03-01 or 2025-03-01T09:00:00Z');
+
+// Read tools take `fresh` to skip the response cache (see executeTool)
+const freshSchema = z.boolean().optional()
+  .describe('Read from BeeBoo directly instead of a recently cached response, e.g. right after a human changed something');
+
+// Every tool takes `format` to override the configured output format for one call
+const formatSchema = z.enum(FORMATS).optional()
+  .describe(`How to render the text result: ${FORMATS.join(', ')} (default: the server's configured format). Structured content is the same in every format.`);
+
+/**
+ * Paging, sorting and date-range inputs shared by the list tools
+ */
+const listInputSchema = {
+  limit: z.number().int().min(1).max(LIST_MAX_LIMIT).optional()
+    .describe(`Maximum number of items to return (default ${LIST_DEFAULT_LIMIT}, max ${LIST_MAX_LIMIT})`),
+  cursor: z.string().optional()
+    .describe('Opaque cursor from a previous page\'s next_cursor'),
+  offset: z.number().int().min(0).optional()
+    .describe('Number of items to skip (alternative to cursor)'),
+  sort: z.enum(['created_at', '-created_at', 'updated_at', '-updated_at']).optional()
+    .describe('Sort field; prefix with - for descending (e.g. -created_at for newest first)'),
+  created_after: isoDate.optional()
+    .describe('Only include items created at or after this ISO 8601 date/time'),
+  created_before: isoDate.optional()
+    .describe('Only include items created before this ISO 8601 date/time'),
+  fresh: freshSchema,
+};
+
+// The exact action an approval covers, shown to the approver
+const approvalActionSchema = z.object({
+  command: z.string().optional()
+    .describe('Command or query to be run, e.g. "terraform apply" or "DROP TABLE sessions"'),
+  diff: z.string().optional()
+    .describe('Unified diff of the change to be made'),
+  target: z.string().optional()
+    .describe('Resource affected, e.g. a host, database, bucket or branch'),
+  parameters: z.record(z.unknown()).optional()
+    .describe('Any other structured details of the action')
+}).strict().refine(action => Object.values(action).some(v => v !== undefined), 'Describe the action with at least one of command, diff, target or parameters');
 
 /**
  * Tool definitions with Zod schemas and handlers
+ * 
+ * Handlers return { view, data }: `view` is the text result as paragraphs
+ * of lines (see format.js), rendered in the requested format. When
+ * `resultKey` is set, `data` is wrapped as { [resultKey]: data } for
+ * structured content, merged with any paging info the handler returns as
+ * `page`. The structured content must match `outputSchema` (see schemas.js).
+ * 
+ * `scrub` lists the arguments that are stored in BeeBoo; they are scanned
+ * for secrets and personal data before the call runs (see scrub.js).
  */
 export const tools = {
   // ─────────────────────────────────────────────────────────────
@@ -17,34 +122,60 @@ export const tools = {
   
   beeboo_knowledge_search: {
     name: 'beeboo_knowledge_search',
-    description: 'Search the BeeBoo knowledge base for information using semantic search',
+    resultKey: 'results',
+    annotations: { readOnlyHint: true },
+    description: 'Search the BeeBoo knowledge base for information using semantic search. Narrow by tags, namespace or content type, and drop weak matches with min_score.',
     inputSchema: {
-      query: z.string().describe('Search query - can be natural language')
+      query: z.string().describe('Search query - can be natural language'),
+      limit: z.number().int().min(1).max(SEARCH_MAX_LIMIT).optional()
+        .describe(`Maximum results to return (default ${SEARCH_DEFAULT_LIMIT}, max ${SEARCH_MAX_LIMIT})`),
+      tags: z.array(z.string()).optional()
+        .describe('Only return entries that have all of these tags'),
+      namespace: z.string().min(1).optional()
+        .describe('Namespace to search (default: the configured namespace; "*" searches all)'),
+      content_type: z.string().optional()
+        .describe('Only return entries of this content type (e.g. text, markdown)'),
+      min_score: z.number().min(0).max(1).optional()
+        .describe('Drop results with a relevance score below this (0-1)'),
+      snippet_length: z.number().int().min(20).max(SNIPPET_MAX_LENGTH).optional()
+        .describe(`Characters of content to return per result, starting just before the first match (default ${SNIPPET_DEFAULT_LENGTH})`),
+      full: z.boolean().optional()
+        .describe('Return each entry\'s full content instead of a snippet'),
+      fresh: freshSchema
     },
-    handler: async ({ query }) => {
-      const res = await api.searchKnowledge(query, { limit: 10 });
+    outputSchema: { results: z.array(searchResultSchema) },
+    handler: async ({ query, limit, tags, namespace, content_type, min_score, snippet_length, full }) => {
+      const filters = { tags, namespace: resolveNamespace(namespace), content_type, min_score };
+      const res = await api.searchKnowledge(query, { limit: limit || SEARCH_DEFAULT_LIMIT, ...filters });
       
       if (!isOk(res)) {
         throw new Error(`Search failed: ${getError(res)}`);
       }
       
       const data = getData(res);
-      const results = Array.isArray(data) ? data : (data?.results || []);
+      const hits = Array.isArray(data) ? data : (data?.results || []);
+      
+      // The API applies these too; re-checking keeps the contract if it ignores one
+      const results = hits
+        .filter(r => matchesSearchFilters(r, filters))
+        .slice(0, limit || SEARCH_DEFAULT_LIMIT)
+        .map(r => toSearchResult(r, query, full ? null : (snippet_length || SNIPPET_DEFAULT_LENGTH)));
       
       if (results.length === 0) {
-        return { text: `No results found for "${query}"` };
+        return { view: [[`No results found for "${query}"`]], data: [] };
       }
       
       const formatted = results.map((r, i) => {
         const title = r.title || r.key || '(untitled)';
-        const content = r.content ? 
-          (r.content.length > 200 ? r.content.slice(0, 200) + '...' : r.content) : 
+        const score = r.score !== null ? ` — score ${r.score.toFixed(2)}` : '';
+        const content = r.content ?
+          `${r.content_offset > 0 ? '...' : ''}${r.content}${r.truncated ? '...' : ''}` :
           '';
-        return `${i + 1}. **${title}**${r.id ? ` (${r.id})` : ''}\n   ${content}`;
-      }).join('\n\n');
+        return [item(i + 1, title, { strong: true, suffix: `${r.id ? ` (${r.id})` : ''}${score}`, detail: content })];
+      });
       
       return { 
-        text: `Found ${results.length} result(s) for "${query}":\n\n${formatted}`,
+        view: [[`Found ${results.length} result(s) for "${query}":`], ...formatted],
         data: results 
       };
     }
@@ -52,25 +183,72 @@ export const tools = {
   
   beeboo_knowledge_add: {
     name: 'beeboo_knowledge_add',
-    description: 'Add a new entry to the BeeBoo knowledge base',
+    scrub: ['title', 'content', 'tags'],
+    description: 'Add a new entry to the BeeBoo knowledge base. The entry\'s key is the slug of its title; on_conflict decides what happens when that key is taken. Near-duplicate entries are reported instead of creating another copy, so you can update one of them instead.',
     inputSchema: {
       title: z.string().describe('Title of the knowledge entry'),
       content: z.string().describe('Content/body of the entry'),
-      tags: z.array(z.string()).optional().describe('Optional tags for categorization')
+      tags: z.array(z.string()).optional().describe('Optional tags for categorization'),
+      namespace: z.string().min(1).refine(ns => ns !== ALL_NAMESPACES, 'Entries must be added to a single namespace').optional()
+        .describe('Namespace to add the entry to (default: the configured namespace)'),
+      on_conflict: z.enum(CONFLICT_STRATEGIES).optional()
+        .describe('If an entry with the same key exists: error (default) refuses, update replaces it, suffix adds a new entry with a numbered key'),
+      allow_similar: z.boolean().optional()
+        .describe('Create the entry even if near-duplicate entries exist')
     },
-    handler: async ({ title, content, tags }) => {
+    outputSchema: knowledgeEntrySchema.shape,
+    handler: async ({ title, content, tags, namespace, on_conflict, allow_similar }) => {
       const entry = {
         title,
         content,
-        namespace: 'default',
+        namespace: namespace || getConfig().namespace,
         content_type: 'text',
-        key: title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+        key: slugify(title),
       };
       
       if (tags && tags.length > 0) {
         entry.tags = tags;
       }
       
+      const existing = await findEntryByKey(entry.namespace, entry.key);
+      
+      if (existing) {
+        const strategy = on_conflict || 'error';
+        
+        if (strategy === 'error') {
+          throw new Error(`An entry with key "${entry.key}" already exists in namespace "${entry.namespace}": "${existing.title}" (ID: ${existing.id}). Pass on_conflict: "update" to replace it, or "suffix" to add a separate entry.`);
+        }
+        
+        if (strategy === 'update') {
+          const patch = { title, content, ...(tags && { tags }) };
+          const res = await api.updateKnowledgeEntry(existing.id, patch);
+          
+          if (!isOk(res)) {
+            throw new Error(`Failed to update entry: ${getError(res)}`);
+          }
+          
+          return {
+            view: [[
+              heading('✏️', `Knowledge entry updated: "${title}" (ID: ${existing.id})`),
+              `Key "${entry.key}" already existed in namespace "${entry.namespace}", so it was replaced.`
+            ]],
+            data: toKnowledgeEntry({ ...existing, ...patch, ...getData(res) })
+          };
+        }
+        
+        entry.key = await findFreeKey(entry.namespace, entry.key);
+      }
+      
+      if (!allow_similar) {
+        const similar = await findSimilarEntries(entry, existing);
+        if (similar.length > 0) {
+          const formatted = similar.map(r =>
+            `- "${r.title || r.key}" (ID: ${r.id})${typeof r.score === 'number' ? ` — score ${r.score.toFixed(2)}` : ''}`
+          ).join('\n');
+          throw new Error(`Not created: similar entries already exist in namespace "${entry.namespace}":\n${formatted}\n\nUpdate one of them with beeboo_knowledge_update, or pass allow_similar: true to add this entry anyway.`);
+        }
+      }
+      
       const res = await api.createKnowledgeEntry(entry);
       
       if (!isOk(res)) {
@@ -80,61 +258,260 @@ export const tools = {
       const data = getData(res);
       
       return {
-        text: `✅ Knowledge entry created: "${title}"${data?.id ? ` (ID: ${data.id})` : ''}`,
-        data: data
+        view: [[
+          heading('✅', `Knowledge entry created: "${title}"${data?.id ? ` (ID: ${data.id})` : ''}`),
+          field('Namespace', data?.namespace || entry.namespace),
+          existing && field('Key', `${entry.key} ("${slugify(title)}" was taken)`)
+        ]],
+        data: toKnowledgeEntry({ ...entry, ...data })
       };
     }
   },
   
   beeboo_knowledge_list: {
     name: 'beeboo_knowledge_list',
-    description: 'List all knowledge base entries',
-    inputSchema: {},
-    handler: async () => {
-      const res = await api.listKnowledgeEntries({});
+    resultKey: 'entries',
+    description: 'List knowledge base entries, one page at a time',
+    inputSchema: {
+      ...listInputSchema,
+      namespace: z.string().min(1).optional()
+        .describe('Namespace to list (default: the configured namespace; "*" lists all)')
+    },
+    outputSchema: { entries: z.array(knowledgeEntrySchema), ...pageShape },
+    handler: async (args) => {
+      const namespace = resolveNamespace(args.namespace);
+      const res = await api.listKnowledgeEntries(buildListQuery(args, { namespace }));
       
       if (!isOk(res)) {
         throw new Error(`Failed to list entries: ${getError(res)}`);
       }
       
-      const entries = getData(res);
-      const items = Array.isArray(entries) ? entries : [];
+      const { items, page } = readPage(res, args);
+      const where = namespace ? ` in namespace "${namespace}"` : '';
       
       if (items.length === 0) {
-        return { text: 'No knowledge entries found.', data: [] };
+        return { view: [[`No knowledge entries found${where}.`]], data: [], page };
       }
       
       const formatted = items.map((e, i) => {
         const id = e.id?.slice(0, 8) || '—';
         const title = e.title || e.key || '(untitled)';
         const tags = e.tags?.length ? ` [${e.tags.join(', ')}]` : '';
-        return `${i + 1}. ${title} (${id})${tags}`;
-      }).join('\n');
+        const ns = !namespace && e.namespace ? ` {${e.namespace}}` : '';
+        return item(i + 1, `${title} (${id})${ns}${tags}`);
+      });
+      
+      return {
+        view: [[heading('📚', `${items.length} knowledge entries${where}:`)], formatted, pageFooter(page)],
+        data: items.map(toKnowledgeEntry),
+        page
+      };
+    }
+  },
+  
+  beeboo_knowledge_namespaces: {
+    name: 'beeboo_knowledge_namespaces',
+    annotations: { readOnlyHint: true },
+    description: 'List the knowledge namespaces (e.g. per team or project) with how many entries each holds',
+    inputSchema: {},
+    outputSchema: namespacesSchema.shape,
+    handler: async () => {
+      const { namespaces, complete } = await fetchNamespaces();
+      const defaultNamespace = getConfig().namespace;
+      const data = { namespaces, default_namespace: defaultNamespace, complete };
+      
+      if (namespaces.length === 0) {
+        return { view: [['No knowledge namespaces found.']], data };
+      }
+      
+      const formatted = namespaces.map(n => {
+        const count = n.count === null ? '' : `: ${n.count} ${n.count === 1 ? 'entry' : 'entries'}`;
+        return bullet(`${n.namespace}${count}${n.namespace === defaultNamespace ? ' (default)' : ''}`);
+      });
+      const partial = complete ? null : 'Counts are partial: the knowledge base is too large to count in full.';
       
       return {
-        text: `📚 ${items.length} knowledge entries:\n\n${formatted}`,
-        data: items
+        view: [[heading('🗂️', `${namespaces.length} knowledge namespace(s):`)], formatted, [partial]],
+        data
       };
     }
   },
   
+  beeboo_knowledge_get: {
+    name: 'beeboo_knowledge_get',
+    description: 'Get a knowledge base entry by ID, with its full content and metadata',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      id: z.string().describe('The knowledge entry ID'),
+      fresh: freshSchema
+    },
+    outputSchema: knowledgeEntrySchema.shape,
+    handler: async ({ id }) => {
+      const res = await api.getKnowledgeEntry(id);
+      
+      if (!isOk(res)) {
+        if (res.status === 404) {
+          throw new Error(`Knowledge entry not found: ${id}`);
+        }
+        throw new Error(`Failed to get entry: ${getError(res)}`);
+      }
+      
+      const entry = getData(res);
+      
+      const view = [
+        [
+          heading('📄', entry.title || entry.key || '(untitled)'),
+          field('ID', entry.id || id),
+          field('Key', entry.key),
+          field('Namespace', entry.namespace),
+          field('Tags', entry.tags?.join(', ')),
+          field('Updated', entry.updated_at || entry.created_at)
+        ],
+        [entry.content]
+      ];
+      
+      return { view, data: toKnowledgeEntry({ id, ...entry }) };
+    }
+  },
+  
+  beeboo_knowledge_update: {
+    name: 'beeboo_knowledge_update',
+    scrub: ['title', 'content', 'tags'],
+    description: 'Update an existing knowledge base entry. Only the fields you pass are changed; use this to correct stale or inaccurate entries.',
+    annotations: { idempotentHint: true },
+    inputSchema: {
+      id: z.string().describe('The knowledge entry ID'),
+      title: z.string().optional().describe('New title'),
+      content: z.string().optional().describe('New content/body, replacing the existing content'),
+      tags: z.array(z.string()).optional().describe('New tags, replacing the existing tags')
+    },
+    outputSchema: knowledgeEntrySchema.shape,
+    handler: async ({ id, title, content, tags }) => {
+      const patch = {};
+      if (title !== undefined) patch.title = title;
+      if (content !== undefined) patch.content = content;
+      if (tags !== undefined) patch.tags = tags;
+      
+      if (Object.keys(patch).length === 0) {
+        throw new Error('Nothing to update: pass at least one of title, content or tags');
+      }
+      
+      const res = await api.updateKnowledgeEntry(id, patch);
+      
+      if (!isOk(res)) {
+        if (res.status === 404) {
+          throw new Error(`Knowledge entry not found: ${id}`);
+        }
+        throw new Error(`Failed to update entry: ${getError(res)}`);
+      }
+      
+      const entry = getData(res);
+      
+      return {
+        view: [[
+          heading('✏️', `Knowledge entry updated: "${entry?.title || title || id}" (ID: ${id})`),
+          field('Changed', Object.keys(patch).join(', '))
+        ]],
+        data: toKnowledgeEntry({ id, ...patch, ...entry })
+      };
+    }
+  },
+  
+  beeboo_knowledge_delete: {
+    name: 'beeboo_knowledge_delete',
+    description: 'Permanently delete a knowledge base entry. Use this to retire obsolete entries; requires confirm: true.',
+    annotations: { destructiveHint: true, idempotentHint: true },
+    inputSchema: {
+      id: z.string().describe('The knowledge entry ID'),
+      confirm: z.boolean().describe('Must be true to confirm permanent deletion')
+    },
+    outputSchema: { id: z.string(), deleted: z.boolean() },
+    handler: async ({ id, confirm }) => {
+      if (confirm !== true) {
+        throw new Error('Deletion not confirmed: pass confirm: true to permanently delete this entry');
+      }
+      
+      const res = await api.deleteKnowledgeEntry(id);
+      
+      if (!isOk(res)) {
+        if (res.status === 404) {
+          throw new Error(`Knowledge entry not found: ${id}`);
+        }
+        throw new Error(`Failed to delete entry: ${getError(res)}`);
+      }
+      
+      return {
+        view: [[heading('🗑️', `Knowledge entry deleted: ${id}`)]],
+        data: { id, deleted: true }
+      };
+    }
+  },
+  
+  beeboo_knowledge_sync: {
+    name: 'beeboo_knowledge_sync',
+    description: 'Sync a local directory of Markdown files with a knowledge namespace: import files as entries, export entries as files, or both. Frontmatter sets title, tags and namespace. Use dry_run first to see the diff. Never deletes anything.',
+    inputSchema: {
+      dir: z.string().min(1).describe('Directory of .md files, relative to the sync root (the server\'s working directory unless configured); must be inside it'),
+      direction: z.enum(DIRECTIONS).optional()
+        .describe('import: files to BeeBoo; export: BeeBoo to files; both (default): newer side wins'),
+      namespace: z.string().min(1).refine(ns => ns !== ALL_NAMESPACES, 'Sync works on a single namespace').optional()
+        .describe('Namespace to sync (default: the configured namespace)'),
+      dry_run: z.boolean().optional()
+        .describe('Report what would change, with a diff, without changing anything')
+    },
+    outputSchema: syncResultSchema.shape,
+    handler: async ({ dir, direction, namespace, dry_run }) => {
+      const within = getConfig().syncRoot || process.cwd();
+      const result = await syncKnowledge({ dir, direction, namespace, dryRun: dry_run, within });
+      return { view: syncResultView(result), data: result };
+    }
+  },
+  
   // ─────────────────────────────────────────────────────────────
   // Approval Tools
   // ─────────────────────────────────────────────────────────────
   
   beeboo_approval_request: {
     name: 'beeboo_approval_request',
-    description: 'Request human approval for an action. Use this when you need explicit permission before proceeding with a potentially impactful operation.',
+    scrub: ['title', 'description', 'action'],
+    description: 'Request human approval for an action. Use this when you need explicit permission before proceeding with a potentially impactful operation. Put the exact command, diff or target in `action` so the approver sees precisely what they are signing off.',
     inputSchema: {
       title: z.string().describe('Brief description of what needs approval'),
-      description: z.string().describe('Detailed explanation of the request and why approval is needed')
+      description: z.string().describe('Detailed explanation of the request and why approval is needed'),
+      category: z.enum(APPROVAL_CATEGORIES).optional()
+        .describe(`What kind of action this is, for triage: ${APPROVAL_CATEGORIES.join(', ')} (default general)`),
+      urgency: z.enum(APPROVAL_URGENCIES).optional()
+        .describe('How soon a decision is needed: low, normal (default), high, or critical'),
+      expires_at: isoDate.refine(value => Date.parse(value) > Date.now(), 'Must be in the future').optional()
+        .describe('ISO 8601 date/time after which the request can no longer be approved'),
+      approvers: z.array(z.string().min(1)).min(1).optional()
+        .describe('User IDs or emails of the people who may decide; anyone on the team if omitted'),
+      quorum: z.number().int().min(1).optional()
+        .describe('How many approvers must approve (default 1; at most the number of approvers)'),
+      action: approvalActionSchema.optional()
+        .describe('The exact action being approved'),
+      ask_user: z.boolean().optional()
+        .describe('Also ask the person at this MCP client to decide right away, if the client supports it. Their decision is recorded in BeeBoo; otherwise the request stays open for approvers there.')
+    },
+    outputSchema: {
+      ...approvalSchema.shape,
+      elicitation: z.enum(ELICIT_OUTCOMES).optional()
+        .describe('With ask_user: whether the user\'s decision was recorded, or why not')
     },
-    handler: async ({ title, description }) => {
+    handler: async ({ title, description, category, urgency, expires_at, approvers, quorum, action, ask_user }, extra = {}) => {
+      if (quorum !== undefined && approvers && quorum > approvers.length) {
+        throw new Error(`quorum (${quorum}) cannot exceed the number of approvers (${approvers.length})`);
+      }
+      
       const data = {
         title,
         description,
-        category: 'general',
-        urgency: 'normal',
+        category: category || 'general',
+        urgency: urgency || 'normal',
+        expires_at,
+        approvers,
+        quorum,
+        action,
       };
       
       const res = await api.submitApproval(data);
@@ -145,83 +522,157 @@ export const tools = {
       
       const result = getData(res);
       
-      return {
-        text: `⏳ Approval requested: "${title}"\nID: ${result?.id || 'unknown'}\nStatus: pending\n\nWait for human approval before proceeding.`,
-        data: result
-      };
+      const summary = [
+        heading('⏳', `Approval requested: "${title}"`),
+        field('ID', result?.id || 'unknown'),
+        field('Status', 'pending'),
+        fields(['Category', data.category], ['Urgency', data.urgency]),
+        field('Expires', expires_at),
+        approvers && field('Approvers', formatApprovers(approvers, quorum))
+      ];
+      
+      if (!ask_user || !result?.id) {
+        return { view: [summary, ['Wait for human approval before proceeding.']], data: toApproval({ ...data, ...result }) };
+      }
+      
+      const message = ['Approve this request from the agent?', '', title, description, action && renderView([approvalActionLines(action)])]
+        .filter(line => line !== undefined)
+        .join('\n');
+      const { outcome, approval, error } = await elicitDecision({ ...data, ...result }, message, extra);
+      
+      return { view: [summary, ...elicitOutcomeView(outcome, approval, error)], data: { ...toApproval(approval), elicitation: outcome } };
     }
   },
   
   beeboo_approval_check: {
     name: 'beeboo_approval_check',
-    description: 'Check the status of an approval request',
+    description: 'Check the status of an approval request, including the exact action it covers',
     inputSchema: {
-      id: z.string().describe('The approval request ID to check')
+      id: z.string().describe('The approval request ID to check'),
+      fresh: freshSchema
     },
+    outputSchema: approvalSchema.shape,
     handler: async ({ id }) => {
-      const res = await api.getApproval(id);
+      const approval = await fetchApproval(id);
       
-      if (!isOk(res)) {
-        if (res.status === 404) {
-          throw new Error(`Approval not found: ${id}`);
-        }
-        throw new Error(`Failed to check approval: ${getError(res)}`);
-      }
-      
-      const approval = getData(res);
-      const statusIcon = approval.status === 'approved' ? '✅' :
-                         approval.status === 'denied' ? '❌' : '⏳';
+      const view = [
+        [
+          heading(approvalStatusIcon(approval.status), `Approval: ${approval.title || id}`),
+          field('Status', approval.status),
+          (approval.category || approval.urgency) &&
+            fields(['Category', approval.category || 'general'], ['Urgency', approval.urgency || 'normal']),
+          field('Expires', approval.expires_at),
+          approval.approvers?.length && field('Approvers', formatApprovers(approval.approvers, approval.quorum)),
+          field('Description', approval.description)
+        ],
+        approval.action ? approvalActionLines(approval.action) : [],
+        [
+          field('Decided', approval.decided_at),
+          field('Note', approval.decision_note),
+          field('Cancelled', approval.cancel_reason)
+        ]
+      ];
       
-      let text = `${statusIcon} Approval: ${approval.title || id}\nStatus: ${approval.status || 'pending'}`;
+      return { view, data: toApproval(approval) };
+    }
+  },
+  
+  beeboo_approval_cancel: {
+    name: 'beeboo_approval_cancel',
+    scrub: ['reason'],
+    description: 'Withdraw a pending approval request you no longer need, e.g. because the plan changed or the action was made unnecessary. Approvers stop seeing it and it can no longer be approved.',
+    annotations: { idempotentHint: true },
+    inputSchema: {
+      id: z.string().describe('The approval request ID to cancel'),
+      reason: z.string().optional().describe('Why the request is being withdrawn, shown to approvers')
+    },
+    outputSchema: approvalSchema.shape,
+    handler: async ({ id, reason }) => {
+      const current = await fetchApproval(id);
       
-      if (approval.description) {
-        text += `\nDescription: ${approval.description}`;
+      if (current.status === 'cancelled') {
+        return {
+          view: [[heading('🚫', `Approval already cancelled: "${current.title || id}"`), field('ID', current.id || id)]],
+          data: toApproval(current)
+        };
       }
-      if (approval.decided_at) {
-        text += `\nDecided: ${approval.decided_at}`;
+      if (current.status !== 'pending') {
+        throw new Error(`Cannot cancel approval ${id}: it is already ${current.status}`);
       }
-      if (approval.decision_note) {
-        text += `\nNote: ${approval.decision_note}`;
+      
+      const res = await api.cancelApproval(id, reason ? { reason } : {});
+      
+      if (!isOk(res)) {
+        if (res.status === 409) {
+          throw new Error(`Cannot cancel approval ${id}: it was decided in the meantime; check it with beeboo_approval_check`);
+        }
+        throw new Error(`Failed to cancel approval: ${getError(res)}`);
       }
       
-      return { text, data: approval };
+      const approval = toApproval({ ...current, status: 'cancelled', cancel_reason: reason, ...getData(res) });
+      const view = [[
+        heading('🚫', `Approval cancelled: "${approval?.title || current.title || id}"`),
+        field('ID', approval?.id || id),
+        field('Reason', reason)
+      ]];
+      
+      return { view, data: approval };
+    }
+  },
+  
+  beeboo_approval_wait: {
+    name: 'beeboo_approval_wait',
+    description: 'Wait for a human decision on an approval request. Blocks until the approval is approved, denied, expired or cancelled, or the timeout expires. Prefer this over calling beeboo_approval_check in a loop.',
+    inputSchema: {
+      id: z.string().describe('The approval request ID to wait on'),
+      timeout_seconds: z.number().int().min(1).max(WAIT_MAX_TIMEOUT_S).optional()
+        .describe(`Maximum time to wait in seconds (default ${WAIT_DEFAULT_TIMEOUT_S})`)
+    },
+    outputSchema: waitResultSchema.shape,
+    handler: async ({ id, timeout_seconds }, extra = {}) => {
+      const timeoutMs = (timeout_seconds || WAIT_DEFAULT_TIMEOUT_S) * 1000;
+      const { approval, result } = await waitForApproval(id, timeoutMs, extra);
+      return { view: waitResultView(approval, result), data: result };
     }
   },
   
   beeboo_approvals_list: {
     name: 'beeboo_approvals_list',
-    description: 'List all approval requests with optional status filter',
+    resultKey: 'approvals',
+    description: 'List approval requests with optional status filter, one page at a time',
     inputSchema: {
-      status: z.enum(['pending', 'approved', 'rejected']).optional()
-        .describe('Filter by status: pending, approved, or rejected')
+      status: z.enum(APPROVAL_STATUSES).optional()
+        .describe(`Filter by status: ${APPROVAL_STATUSES.join(', ')}`),
+      ...listInputSchema
     },
-    handler: async ({ status }) => {
-      const query = status ? { status } : {};
-      const res = await api.listApprovals(query);
+    outputSchema: { approvals: z.array(approvalSchema), ...pageShape },
+    handler: async (args) => {
+      const { status } = args;
+      const res = await api.listApprovals(buildListQuery(args, { status: status && toApiStatus(status) }));
       
       if (!isOk(res)) {
         throw new Error(`Failed to list approvals: ${getError(res)}`);
       }
       
-      const approvals = getData(res);
-      const items = Array.isArray(approvals) ? approvals : [];
+      const { items: listed, page } = readPage(res, args);
+      // Pending and expired approvals share an API status, told apart by expires_at
+      const items = listed.map(toApproval).filter(a => !status || a.status === status);
       
       if (items.length === 0) {
         const filterText = status ? ` with status "${status}"` : '';
-        return { text: `No approvals found${filterText}.`, data: [] };
+        return { view: [[`No approvals found${filterText}.`]], data: [], page };
       }
       
       const formatted = items.map((a, i) => {
         const id = a.id?.slice(0, 8) || '—';
         const title = a.title || '(untitled)';
-        const statusIcon = a.status === 'approved' ? '✅' :
-                          a.status === 'denied' ? '❌' : '⏳';
-        return `${i + 1}. ${statusIcon} ${title} (${id}) - ${a.status || 'pending'}`;
-      }).join('\n');
+        return item(i + 1, `${title} (${id}) - ${a.status}`, { icon: approvalStatusIcon(a.status) });
+      });
       
       return {
-        text: `📋 ${items.length} approval(s):\n\n${formatted}`,
-        data: items
+        view: [[heading('📋', `${items.length} approval(s):`)], formatted, pageFooter(page)],
+        data: items,
+        page
       };
     }
   },
@@ -232,13 +683,15 @@ export const tools = {
   
   beeboo_request_create: {
     name: 'beeboo_request_create',
+    scrub: ['title', 'description'],
     description: 'Create a work request for the team. Use this to queue up tasks that need human attention or execution.',
     inputSchema: {
       title: z.string().describe('Brief title of the work request'),
       description: z.string().optional().describe('Detailed description of what needs to be done'),
-      priority: z.enum(['low', 'medium', 'high', 'critical']).optional()
+      priority: z.enum(REQUEST_PRIORITIES).optional()
         .describe('Priority level: low, medium, high, or critical')
     },
+    outputSchema: workRequestSchema.shape,
     handler: async ({ title, description, priority }) => {
       const data = {
         title,
@@ -255,54 +708,564 @@ export const tools = {
       const result = getData(res);
       
       return {
-        text: `📋 Work request created: "${title}"\nID: ${result?.id || 'unknown'}\nPriority: ${data.priority}`,
-        data: result
+        view: [[
+          heading('📋', `Work request created: "${title}"`),
+          field('ID', result?.id || 'unknown'),
+          field('Priority', data.priority)
+        ]],
+        data: toWorkRequest({ ...data, ...result })
       };
     }
   },
   
   beeboo_requests_list: {
     name: 'beeboo_requests_list',
-    description: 'List all work requests with optional status filter',
+    resultKey: 'requests',
+    description: 'List work requests with optional status filter, one page at a time',
     inputSchema: {
-      status: z.enum(['open', 'in_progress', 'resolved']).optional()
-        .describe('Filter by status: open, in_progress, or resolved')
+      status: z.enum(REQUEST_STATUSES).optional()
+        .describe('Filter by status: open, in_progress, or resolved'),
+      ...listInputSchema
     },
-    handler: async ({ status }) => {
-      const query = status ? { status } : {};
-      const res = await api.listRequests(query);
+    outputSchema: { requests: z.array(workRequestSchema), ...pageShape },
+    handler: async (args) => {
+      const { status } = args;
+      const res = await api.listRequests(buildListQuery(args, { status }));
       
       if (!isOk(res)) {
         throw new Error(`Failed to list requests: ${getError(res)}`);
       }
       
-      const requests = getData(res);
-      const items = Array.isArray(requests) ? requests : [];
+      const { items, page } = readPage(res, args);
       
       if (items.length === 0) {
         const filterText = status ? ` with status "${status}"` : '';
-        return { text: `No work requests found${filterText}.`, data: [] };
+        return { view: [[`No work requests found${filterText}.`]], data: [], page };
       }
       
       const formatted = items.map((r, i) => {
         const id = r.id?.slice(0, 8) || '—';
         const title = r.title || '(untitled)';
-        const statusIcon = r.status === 'resolved' ? '✅' :
-                          r.status === 'in_progress' ? '🔄' : '📋';
+        const statusIcon = requestStatusIcon(r.status);
         const priorityBadge = r.priority === 'critical' ? '🔴' :
                               r.priority === 'high' ? '🟠' :
                               r.priority === 'low' ? '⚪' : '🟡';
-        return `${i + 1}. ${statusIcon} ${priorityBadge} ${title} (${id})`;
-      }).join('\n');
+        return item(i + 1, `${title} (${id})`, {
+          icon: `${statusIcon} ${priorityBadge}`,
+          alt: `${r.status || 'open'}, ${r.priority || 'medium'}`
+        });
+      });
+      
+      return {
+        view: [[heading('📋', `${items.length} work request(s):`)], formatted, pageFooter(page)],
+        data: items.map(toWorkRequest),
+        page
+      };
+    }
+  },
+  
+  beeboo_request_get: {
+    name: 'beeboo_request_get',
+    description: 'Get a work request by ID, including its status, assignee and comments',
+    annotations: { readOnlyHint: true },
+    inputSchema: {
+      id: z.string().describe('The work request ID'),
+      fresh: freshSchema
+    },
+    outputSchema: workRequestSchema.shape,
+    handler: async ({ id }) => {
+      const request = await fetchRequest(id);
+      
+      const view = [[
+        heading(requestStatusIcon(request.status), request.title || id),
+        field('ID', request.id || id),
+        field('Status', request.status || 'open'),
+        field('Priority', request.priority || 'medium'),
+        field('Assignee', request.assignee),
+        field('Description', request.description),
+        field('Resolution', request.resolution)
+      ]];
+      if (request.comments?.length) {
+        view.push(['Comments:', ...request.comments.map(c =>
+          bullet(`${c.author ? `${c.author}: ` : ''}${c.body || c.comment || ''}`)
+        )]);
+      }
+      
+      return { view, data: toWorkRequest({ id, ...request }) };
+    }
+  },
+  
+  beeboo_request_update: {
+    name: 'beeboo_request_update',
+    scrub: ['resolution'],
+    description: 'Update a work request\'s status or priority. Move it to in_progress when you pick it up and to resolved, with a resolution summary, when done. Allowed transitions: open → in_progress/resolved, in_progress → open/resolved, resolved → open.',
+    inputSchema: {
+      id: z.string().describe('The work request ID'),
+      status: z.enum(REQUEST_STATUSES).optional()
+        .describe('New status: open, in_progress, or resolved'),
+      priority: z.enum(REQUEST_PRIORITIES).optional()
+        .describe('New priority level: low, medium, high, or critical'),
+      resolution: z.string().optional()
+        .describe('Summary of what was done; required when resolving')
+    },
+    outputSchema: workRequestSchema.shape,
+    handler: async ({ id, status, priority, resolution }) => {
+      if (!status && !priority && resolution === undefined) {
+        throw new Error('Nothing to update: pass at least one of status, priority or resolution');
+      }
+      
+      const current = await fetchRequest(id);
+      const from = current.status || 'open';
+      const patch = {};
+      
+      if (status && status !== from) {
+        if (!REQUEST_TRANSITIONS[from]?.includes(status)) {
+          throw new Error(`Cannot move work request from ${from} to ${status}`);
+        }
+        patch.status = status;
+      }
+      if (status === 'resolved' && from !== 'resolved' && !resolution) {
+        throw new Error('A resolution summary is required to resolve a work request');
+      }
+      if (priority) patch.priority = priority;
+      if (resolution !== undefined) patch.resolution = resolution;
+      
+      const res = await api.updateRequest(id, patch);
+      
+      if (!isOk(res)) {
+        throw new Error(`Failed to update request: ${getError(res)}`);
+      }
+      
+      const result = getData(res);
+      const newStatus = result?.status || patch.status || from;
+      
+      const view = [[
+        heading(requestStatusIcon(newStatus), `Work request updated: "${result?.title || current.title || id}"`),
+        field('ID', id),
+        field('Status', patch.status ? `${newStatus} (was ${from})` : newStatus),
+        field('Priority', patch.priority)
+      ]];
+      
+      return { view, data: toWorkRequest({ ...current, ...patch, ...result }) };
+    }
+  },
+  
+  beeboo_request_comment: {
+    name: 'beeboo_request_comment',
+    scrub: ['comment'],
+    description: 'Post a comment on a work request, e.g. to report progress or ask a question',
+    inputSchema: {
+      id: z.string().describe('The work request ID'),
+      comment: z.string().min(1).describe('Comment text')
+    },
+    outputSchema: commentSchema.shape,
+    handler: async ({ id, comment }) => {
+      const res = await api.commentOnRequest(id, { body: comment });
+      
+      if (!isOk(res)) {
+        if (res.status === 404) {
+          throw new Error(`Work request not found: ${id}`);
+        }
+        throw new Error(`Failed to post comment: ${getError(res)}`);
+      }
+      
+      const result = getData(res);
       
       return {
-        text: `📋 ${items.length} work request(s):\n\n${formatted}`,
-        data: items
+        view: [[heading('💬', `Comment posted on work request ${id}${result?.id ? ` (comment ID: ${result.id})` : ''}`)]],
+        data: toComment({ body: comment, ...result })
+      };
+    }
+  },
+  
+  beeboo_request_assign: {
+    name: 'beeboo_request_assign',
+    description: 'Assign a work request to a team member',
+    annotations: { idempotentHint: true },
+    inputSchema: {
+      id: z.string().describe('The work request ID'),
+      assignee: z.string().min(1).describe('User ID or email of the assignee')
+    },
+    outputSchema: workRequestSchema.shape,
+    handler: async ({ id, assignee }) => {
+      const res = await api.assignRequest(id, assignee);
+      
+      if (!isOk(res)) {
+        if (res.status === 404) {
+          throw new Error(`Work request not found: ${id}`);
+        }
+        throw new Error(`Failed to assign request: ${getError(res)}`);
+      }
+      
+      const result = getData(res);
+      
+      return {
+        view: [[heading('👤', `Work request ${id} assigned to ${assignee}`)]],
+        data: toWorkRequest({ id, assignee, ...result })
       };
     }
   },
 };
 
+/**
+ * Build the list endpoint query from the shared paging inputs
+ */
+function buildListQuery(args, filters = {}) {
+  if (args.created_after && args.created_before && Date.parse(args.created_after) > Date.parse(args.created_before)) {
+    throw new Error(`created_after (${args.created_after}) is later than created_before (${args.created_before})`);
+  }
+  
+  return {
+    ...filters,
+    limit: args.limit || LIST_DEFAULT_LIMIT,
+    cursor: args.cursor,
+    offset: args.offset,
+    sort: args.sort,
+    created_after: args.created_after,
+    created_before: args.created_before,
+  };
+}
+
+/**
+ * Read one page of list results along with where the next page starts
+ */
+function readPage(res, args) {
+  const { items, nextCursor, total } = getPage(res);
+  const limit = args.limit || LIST_DEFAULT_LIMIT;
+  const page = { next_cursor: nextCursor };
+  
+  // Offset paging: a full page means there may be more
+  if (!nextCursor && args.offset !== undefined && items.length >= limit) {
+    page.next_offset = args.offset + items.length;
+  }
+  if (total !== null) {
+    page.total = total;
+  }
+  
+  return { items, page };
+}
+
+/**
+ * The entry with this key in a namespace, if any
+ */
+async function findEntryByKey(namespace, key) {
+  let cursor;
+  let pages = 0;
+  do {
+    const res = await api.listKnowledgeEntries({ namespace, key, limit: LIST_MAX_LIMIT, cursor });
+    if (!isOk(res)) {
+      throw new Error(`Failed to check for an existing entry: ${getError(res)}`);
+    }
+    
+    // Filter again, and keep paging, in case the API ignores the key filter
+    const { items, nextCursor } = getPage(res);
+    const entry = items.find(e => e.key === key);
+    if (entry) return entry;
+    cursor = nextCursor;
+    pages++;
+  } while (cursor && pages < KEY_SCAN_MAX_PAGES);
+  
+  if (cursor) {
+    throw new Error(`Could not check for an existing entry with key "${key}": namespace "${namespace}" has more than ${KEY_SCAN_MAX_PAGES * LIST_MAX_LIMIT} entries and the API did not filter by key`);
+  }
+  return null;
+}
+
+/**
+ * First free numbered variant of a key: key-2, key-3, ...
+ */
+async function findFreeKey(namespace, key) {
+  for (let n = 2; n <= MAX_KEY_SUFFIX; n++) {
+    const candidate = `${key}-${n}`;
+    if (!(await findEntryByKey(namespace, candidate))) return candidate;
+  }
+  throw new Error(`No free key for "${key}" in namespace "${namespace}" (tried up to ${key}-${MAX_KEY_SUFFIX})`);
+}
+
+/**
+ * Existing entries that look like the same fact as a new one. Advisory:
+ * a failed search doesn't stop the entry being added.
+ */
+async function findSimilarEntries(entry, exclude) {
+  let res;
+  try {
+    res = await api.searchKnowledge(entry.title, { limit: 5, namespace: entry.namespace, min_score: NEAR_DUPLICATE_MIN_SCORE });
+  } catch {
+    return [];
+  }
+  if (!isOk(res)) return [];
+  
+  const data = getData(res);
+  const hits = Array.isArray(data) ? data : (data?.results || []);
+  return hits.filter(hit =>
+    typeof hit.score === 'number' && hit.score >= NEAR_DUPLICATE_MIN_SCORE &&
+    hit.id !== exclude?.id &&
+    (!hit.namespace || hit.namespace === entry.namespace)
+  );
+}
+
+/**
+ * The namespace a knowledge read is scoped to: the given one, else the
+ * configured default; undefined for "*" (all namespaces)
+ */
+function resolveNamespace(namespace) {
+  if (namespace === ALL_NAMESPACES) return undefined;
+  return namespace || getConfig().namespace;
+}
+
+/**
+ * Namespaces with entry counts. Falls back to counting entries page by
+ * page when the API has no namespaces endpoint.
+ * @returns {Promise<{namespaces: {namespace: string, count: number}[], complete: boolean}>}
+ */
+async function fetchNamespaces() {
+  const listed = await api.listKnowledgeNamespaces();
+  
+  if (isOk(listed)) {
+    const data = getData(listed);
+    const items = Array.isArray(data) ? data : (data?.namespaces || []);
+    const namespaces = items.map(n => typeof n === 'string'
+      ? { namespace: n, count: null }
+      : { namespace: n.namespace ?? n.name, count: n.count ?? n.entry_count ?? null });
+    return { namespaces: sortNamespaces(namespaces), complete: true };
+  }
+  if (listed.status !== 404) {
+    throw new Error(`Failed to list namespaces: ${getError(listed)}`);
+  }
+  
+  const counts = new Map();
+  let cursor;
+  let pages = 0;
+  do {
+    const res = await api.listKnowledgeEntries({ limit: NAMESPACE_SCAN_PAGE_SIZE, cursor });
+    if (!isOk(res)) {
+      throw new Error(`Failed to list namespaces: ${getError(res)}`);
+    }
+    
+    const { items, nextCursor } = getPage(res);
+    for (const entry of items) {
+      const ns = entry.namespace || 'default';
+      counts.set(ns, (counts.get(ns) || 0) + 1);
+    }
+    cursor = nextCursor;
+    pages++;
+  } while (cursor && pages < NAMESPACE_SCAN_MAX_PAGES);
+  
+  const namespaces = [...counts].map(([namespace, count]) => ({ namespace, count }));
+  return { namespaces: sortNamespaces(namespaces), complete: !cursor };
+}
+
+function sortNamespaces(namespaces) {
+  return namespaces.sort((a, b) => a.namespace.localeCompare(b.namespace));
+}
+
+/**
+ * Whether a search hit satisfies the requested filters
+ */
+function matchesSearchFilters(hit, { tags, namespace, content_type, min_score }) {
+  if (tags?.length && !tags.every(tag => hit.tags?.includes(tag))) return false;
+  if (namespace && hit.namespace && hit.namespace !== namespace) return false;
+  if (content_type && hit.content_type && hit.content_type !== content_type) return false;
+  if (min_score !== undefined && typeof hit.score === 'number' && hit.score < min_score) return false;
+  return true;
+}
+
+/**
+ * Shape a search hit for structured content: the content (or a snippet of
+ * it around the first match) plus highlight offsets into the returned
+ * title and content. `content_offset` is where the snippet starts in the
+ * full content.
+ * @param {object} hit - Search hit from the API
+ * @param {string} query - The search query
+ * @param {number|null} snippetLength - Snippet size, or null for full content
+ */
+function toSearchResult(hit, query, snippetLength) {
+  const title = hit.title || '';
+  const content = hit.content || '';
+  const matches = findMatches(content, query);
+  
+  let start = 0;
+  let end = content.length;
+  if (snippetLength !== null && content.length > snippetLength) {
+    // Show a little context before the first match
+    const first = matches[0]?.start ?? 0;
+    start = Math.max(0, Math.min(first - Math.floor(snippetLength / 4), content.length - snippetLength));
+    end = start + snippetLength;
+  }
+  
+  return {
+    id: hit.id === undefined || hit.id === null ? null : String(hit.id),
+    title: hit.title ?? null,
+    key: hit.key ?? null,
+    namespace: hit.namespace ?? null,
+    tags: hit.tags || [],
+    content_type: hit.content_type ?? null,
+    score: typeof hit.score === 'number' ? hit.score : null,
+    content: content.slice(start, end),
+    content_offset: start,
+    truncated: end < content.length,
+    highlights: {
+      title: findMatches(title, query),
+      content: matches
+        .filter(m => m.start >= start && m.end <= end)
+        .map(m => ({ start: m.start - start, end: m.end - start })),
+    },
+  };
+}
+
+/**
+ * Offsets of case-insensitive occurrences of the query's words in text,
+ * in order and without overlaps
+ */
+function findMatches(text, query) {
+  const terms = [...new Set(query.toLowerCase().split(/\W+/).filter(t => t.length > 1))];
+  if (terms.length === 0 || !text) return [];
+  
+  // Terms are word characters only, so they need no escaping
+  const pattern = new RegExp(terms.join('|'), 'gi');
+  return [...text.matchAll(pattern)].map(m => ({ start: m.index, end: m.index + m[0].length }));
+}
+
+/**
+ * Tell the agent how to fetch the next page, if there is one
+ */
+function pageFooter(page) {
+  if (page.next_cursor) {
+    return [`More results available. Pass cursor: "${page.next_cursor}" for the next page.`];
+  }
+  if (page.next_offset !== undefined) {
+    return [`More results may be available. Pass offset: ${page.next_offset} for the next page.`];
+  }
+  return [];
+}
+
+/**
+ * Fetch a work request, throwing a readable error if it can't be loaded
+ */
+async function fetchRequest(id) {
+  const res = await api.getRequest(id);
+  
+  if (!isOk(res)) {
+    if (res.status === 404) {
+      throw new Error(`Work request not found: ${id}`);
+    }
+    throw new Error(`Failed to get request: ${getError(res)}`);
+  }
+  
+  return getData(res);
+}
+
+/**
+ * Fetch an approval with its status normalized, throwing a readable error
+ * if it can't be loaded
+ */
+async function fetchApproval(id) {
+  const res = await api.getApproval(id);
+  
+  if (!isOk(res)) {
+    if (res.status === 404) {
+      throw new Error(`Approval not found: ${id}`);
+    }
+    throw new Error(`Failed to check approval: ${getError(res)}`);
+  }
+  
+  return normalizeApproval(getData(res));
+}
+
+/**
+ * "alice, bob (1 of 2 must approve)"
+ */
+function formatApprovers(approvers, quorum) {
+  const required = quorum || 1;
+  return `${approvers.join(', ')} (${required} of ${approvers.length} must approve)`;
+}
+
+/**
+ * An approval's action payload, for the approver and the agent
+ */
+function approvalActionLines(action) {
+  const hasParameters = action.parameters && Object.keys(action.parameters).length > 0;
+  
+  return [
+    'Action:',
+    field('Target', action.target),
+    code('Command', action.command),
+    code('Diff', action.diff?.replace(/\n$/, ''), 'diff'),
+    hasParameters && code('Parameters', JSON.stringify(action.parameters, null, 2), 'json')
+  ];
+}
+
+function requestStatusIcon(status) {
+  return status === 'resolved' ? '✅' :
+         status === 'in_progress' ? '🔄' : '📋';
+}
+
+/**
+ * Explain what came of asking the user to decide an approval directly
+ */
+function elicitOutcomeView(outcome, approval, error) {
+  if (outcome === 'unsupported') {
+    return [['This client cannot prompt the user, so the request went to approvers in BeeBoo only. Wait for human approval before proceeding.']];
+  }
+  if (outcome === 'dismissed') {
+    return [['The user dismissed the prompt without deciding; the request stays open for approvers in BeeBoo. Wait for human approval before proceeding.']];
+  }
+  if (outcome === 'failed') {
+    return [[`Could not take the decision here (${error}); the request stays open for approvers in BeeBoo. Wait for human approval before proceeding.`]];
+  }
+  
+  const decision = [
+    line(`The user's decision was recorded in BeeBoo. Status: ${approval.status}`, approvalStatusIcon(approval.status)),
+    field('Note', approval.decision_note)
+  ];
+  
+  if (approval.status === 'approved') {
+    return [decision, ['You may proceed with exactly the action that was approved.']];
+  }
+  if (approval.status === 'pending') {
+    return [decision, ['More approvals are needed; wait for them with beeboo_approval_wait before proceeding.']];
+  }
+  return [decision, ['Do not proceed.']];
+}
+
+/**
+ * The terminal result of beeboo_approval_wait
+ */
+function waitResultView(approval, result) {
+  const title = approval?.title || result.id;
+  const seconds = Math.round(result.elapsed_ms / 1000);
+  
+  if (result.decision === 'timeout') {
+    return [
+      [heading('⏳', `Still pending after ${seconds}s: "${title}"`), field('ID', result.id)],
+      ['No decision yet. Do not proceed; wait again or check back later.']
+    ];
+  }
+  
+  const view = [[
+    heading(approvalStatusIcon(result.decision), `Approval ${result.decision}: "${title}"`),
+    field('ID', result.id),
+    field('Waited', `${seconds}s`),
+    field('Decided by', result.decided_by),
+    field('Note', result.note)
+  ]];
+  
+  if (result.decision === 'expired') {
+    view.push([`Expired at ${result.expires_at || 'its deadline'} without a decision. Do not proceed; request approval again if the action is still needed.`]);
+  } else if (result.decision === 'cancelled') {
+    view.push(['The request was withdrawn. Do not proceed.']);
+  }
+  
+  return view;
+}
+
+/**
+ * A tool's input schema, plus the `format` argument every tool takes
+ */
+export function toolInputSchema(tool) {
+  return { ...tool.inputSchema, format: formatSchema };
+}
+
 /**
  * Get all tool definitions in MCP format
  */
@@ -313,12 +1276,12 @@ export function getToolDefinitions() {
     inputSchema: {
       type: 'object',
       properties: Object.fromEntries(
-        Object.entries(tool.inputSchema).map(([key, schema]) => [
+        Object.entries(toolInputSchema(tool)).map(([key, schema]) => [
           key,
           zodToJsonSchema(schema)
         ])
       ),
-      required: Object.entries(tool.inputSchema)
+      required: Object.entries(toolInputSchema(tool))
         .filter(([_, schema]) => !schema.isOptional?.())
         .map(([key]) => key)
     }
@@ -338,6 +1301,14 @@ function zodToJsonSchema(schema) {
     return inner;
   }
   
+  // Number
+  if (schema._def?.typeName === 'ZodNumber') {
+    return {
+      type: schema._def.checks?.some(c => c.kind === 'int') ? 'integer' : 'number',
+      ...(description && { description })
+    };
+  }
+  
   // Enum
   if (schema._def?.values) {
     return {
@@ -347,6 +1318,14 @@ function zodToJsonSchema(schema) {
     };
   }
   
+  // Boolean
+  if (schema._def?.typeName === 'ZodBoolean') {
+    return {
+      type: 'boolean',
+      ...(description && { description })
+    };
+  }
+  
   // Array
   if (schema._def?.type?.constructor?.name === 'ZodString') {
     return {
@@ -373,19 +1352,56 @@ function zodToJsonSchema(schema) {
 
 /**
  * Execute a tool by name
+ * @param {string} name - Tool name
+ * @param {object} args - Raw tool arguments
+ * @param {object} [extra] - MCP request context (signal, progress token, notifications)
+ * @returns {Promise<{view: Array, data: any, structuredContent: object, notices: Array}>} The
+ *   handler's result, plus its structured content validated against the tool's outputSchema
+ *   and the scrubbing notices (already appended to the view)
  */
-export async function executeTool(name, args) {
+export async function executeTool(name, args, extra = {}) {
   const tool = tools[name];
   if (!tool) {
     throw new Error(`Unknown tool: ${name}`);
   }
   
-  // Validate input using Zod
-  const schema = z.object(tool.inputSchema);
-  const validated = schema.parse(args || {});
-  
-  // Execute handler
-  return await tool.handler(validated);
+  return withAudit(name, extra, async (record) => {
+    // Validate input using Zod
+    const schema = z.object(toolInputSchema(tool));
+    const validated = schema.parse(args || {});
+    
+    // Secrets are masked or blocked before anything is sent or logged
+    const scrubbed = scrubArgs(tool.scrub, validated);
+    record.args = scrubbed.args;
+    if (scrubbed.error) {
+      throw new Error(scrubbed.error);
+    }
+    
+    // Local policy may deny the call or require a human to approve it first
+    await enforcePolicy(name, scrubbed.args, extra);
+    
+    // Execute handler
+    const run = () => tool.handler(scrubbed.args, extra);
+    const result = await (scrubbed.args.fresh ? withoutCache(run) : run());
+    
+    // Clients may rely on the advertised output schema, so never return anything else
+    const output = z.object(tool.outputSchema).safeParse(toStructuredContent(tool, result));
+    if (!output.success) {
+      const issues = output.error.issues.map(i => `${i.path.join('.') || '(root)'}: ${i.message}`).join('; ');
+      throw new Error(`Unexpected result shape from BeeBoo: ${issues}`);
+    }
+    
+    const view = scrubbed.notices.length === 0 ? result.view : [...result.view, scrubbed.notices];
+    return { ...result, view, structuredContent: output.data, notices: scrubbed.notices };
+  });
+}
+
+/**
+ * Shape a handler result into MCP structured content
+ */
+function toStructuredContent(tool, result) {
+  if (!tool.resultKey) return result.data;
+  return { [tool.resultKey]: result.data, ...result.page };
 }
 
 export default tools;
@@ -0,0 +1,245 @@
+/**
+ * webhooks.js — Receiver for signed BeeBoo webhook callbacks
+ *
+ * An optional local HTTP listener that BeeBoo calls when an approval is
+ * decided, a work request is updated or knowledge changes. Verified
+ * events are published in-process: connected MCP sessions get them as
+ * logging notifications (and resources/updated for subscribed resources),
+ * and approval waits wake up at once instead of at their next poll.
+ *
+ * Every callback must be signed with the shared webhook secret:
+ *
+ *   X-BeeBoo-Timestamp: <unix seconds>
+ *   X-BeeBoo-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ *
+ * Body: { "id": "evt_...", "type": "approval.decided", "created_at": "...", "data": { "id": "...", ... } }
+ */
+
+import http from 'http';
+import { EventEmitter } from 'events';
+import { createHmac, timingSafeEqual } from 'crypto';
+
+export const WEBHOOK_EVENTS = ['approval.decided', 'request.updated', 'knowledge.changed'];
+
+export const DEFAULT_WEBHOOK_PATH = '/webhooks/beeboo';
+const SIGNATURE_TOLERANCE_S = 300;
+const MAX_BODY_BYTES = 1024 * 1024;
+// Event IDs remembered to drop redeliveries
+const SEEN_EVENTS_MAX = 1000;
+
+// Collection each event type's object lives in, as in beeboo:// URIs
+const EVENT_COLLECTIONS = {
+  'approval.decided': 'approvals',
+  'request.updated': 'requests',
+  'knowledge.changed': 'knowledge',
+};
+
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+const seenEvents = new Set();
+
+/**
+ * Start the webhook listener. It does not keep the process alive on its own.
+ * @param {object} options
+ * @param {string} options.secret - Shared secret the signatures are made with
+ * @param {string} [options.host] - Interface to bind (default 127.0.0.1)
+ * @param {number} options.port - Port to listen on (0 for any free port)
+ * @param {string} [options.path] - Path BeeBoo posts to (default /webhooks/beeboo)
+ * @returns {Promise<http.Server>}
+ */
+export async function startWebhookReceiver({ secret, host = '127.0.0.1', port, path = DEFAULT_WEBHOOK_PATH }) {
+  if (!secret) {
+    throw new Error('A webhook secret is required to receive webhooks: set BEEBOO_WEBHOOK_SECRET or webhooks.secret');
+  }
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== path || req.method !== 'POST') {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+      }
+
+      const body = await readBody(req);
+      const timestamp = req.headers['x-beeboo-timestamp'];
+
+      if (!isFresh(timestamp)) {
+        sendJson(res, 401, { error: 'Missing or stale X-BeeBoo-Timestamp' });
+        return;
+      }
+      if (!verifySignature(secret, timestamp, body, req.headers['x-beeboo-signature'])) {
+        sendJson(res, 401, { error: 'Invalid signature' });
+        return;
+      }
+
+      let event;
+      try {
+        event = JSON.parse(body);
+      } catch {
+        sendJson(res, 400, { error: 'Body must be JSON' });
+        return;
+      }
+
+      if (!WEBHOOK_EVENTS.includes(event?.type)) {
+        // Acknowledge so BeeBoo doesn't retry event types this version doesn't handle
+        sendJson(res, 202, { ignored: true });
+        return;
+      }
+      if (!event.data?.id) {
+        sendJson(res, 400, { error: 'Event data must include the object id' });
+        return;
+      }
+
+      if (event.id && seenEvents.has(event.id)) {
+        sendJson(res, 200, { duplicate: true });
+        return;
+      }
+      remember(event.id);
+
+      sendJson(res, 200, { received: true });
+      events.emit('event', event);
+    } catch (error) {
+      if (!res.headersSent) {
+        sendJson(res, error.statusCode || 500, { error: error.statusCode ? error.message : 'Internal server error' });
+      }
+      if (!error.statusCode) {
+        console.error(`Webhook error: ${error.message}`);
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  server.unref();
+
+  return server;
+}
+
+/**
+ * Call listener with every verified webhook event
+ * @param {(event: object) => void} listener
+ * @returns {() => void} Stops listening
+ */
+export function onWebhookEvent(listener) {
+  events.on('event', listener);
+  return () => events.off('event', listener);
+}
+
+/**
+ * The collection (knowledge, approvals or requests) an event is about
+ */
+export function eventCollection(event) {
+  return EVENT_COLLECTIONS[event.type];
+}
+
+/**
+ * The beeboo:// URI of the object an event is about
+ */
+export function eventResourceUri(event) {
+  return `beeboo://${eventCollection(event)}/${encodeURIComponent(event.data.id)}`;
+}
+
+/**
+ * Send webhook events to an MCP session as logging notifications
+ * while it is open
+ */
+export function forwardWebhookEvents(server) {
+  const stop = onWebhookEvent((event) => {
+    if (!server.isConnected()) return;
+
+    server.sendLoggingMessage({
+      level: 'info',
+      logger: 'beeboo.webhooks',
+      data: {
+        type: event.type,
+        id: event.data.id,
+        uri: eventResourceUri(event),
+        summary: summarizeEvent(event),
+        data: event.data,
+      },
+    }).catch((error) => {
+      console.error(`Failed to forward ${event.type} event: ${error.message}`);
+    });
+  });
+
+  const onclose = server.server.onclose;
+  server.server.onclose = () => {
+    stop();
+    onclose?.();
+  };
+}
+
+/**
+ * One line describing an event, e.g. "Approval "Deploy" approved by alice"
+ */
+function summarizeEvent({ type, data }) {
+  const name = data.title ? `"${data.title}"` : data.id;
+
+  if (type === 'approval.decided') {
+    const by = data.decided_by ? ` by ${data.decided_by}` : '';
+    return `Approval ${name} ${data.status || 'decided'}${by}`;
+  }
+  if (type === 'request.updated') {
+    return `Work request ${name} updated${data.status ? ` (${data.status})` : ''}`;
+  }
+  return `Knowledge entry ${name} ${data.change || 'changed'}`;
+}
+
+/**
+ * Check the HMAC-SHA256 signature over "<timestamp>.<body>" in constant time
+ */
+function verifySignature(secret, timestamp, body, header) {
+  const match = typeof header === 'string' && header.match(/^sha256=([a-f0-9]{64})$/i);
+  if (!match) return false;
+
+  const expected = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest();
+  return timingSafeEqual(Buffer.from(match[1], 'hex'), expected);
+}
+
+/**
+ * Reject replays of old callbacks
+ */
+function isFresh(timestamp) {
+  if (!/^\d+$/.test(timestamp || '')) return false;
+  return Math.abs(Date.now() / 1000 - Number(timestamp)) <= SIGNATURE_TOLERANCE_S;
+}
+
+function remember(eventId) {
+  if (!eventId) return;
+  seenEvents.add(eventId);
+  if (seenEvents.size > SEEN_EVENTS_MAX) {
+    seenEvents.delete(seenEvents.values().next().value);
+  }
+}
+
+/**
+ * Read the raw request body; the signature covers the exact bytes
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        const error = new Error('Request body too large');
+        error.statusCode = 413;
+        reject(error);
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
@@ -0,0 +1,512 @@
+#!/usr/bin/env node
+
+/**
+ * fake-api.js — In-memory stand-in for the BeeBoo API
+ *
+ * Implements the /api/v1/knowledge, /api/v1/approvals and /api/v1/requests
+ * routes that src/api.js calls, for offline development and tests. GET
+ * responses carry an ETag and honor If-None-Match.
+ *
+ * Usage:
+ *   node test/fake-api.js [--port 4010] [--fixtures test/fixtures/workspace.json]
+ *   BEEBOO_API_URL=http://127.0.0.1:4010 BEEBOO_API_KEY=bb_sk_fake node index.js
+ *
+ * Test controls (no auth required):
+ *   GET    /__fake/state                  Dump in-memory state and the request log
+ *   POST   /__fake/reset                  Reset to the loaded fixtures
+ *   POST   /__fake/fixtures               Replace state with a fixture document
+ *   POST   /__fake/faults                 Replace the fault list (see Fault below)
+ *   POST   /__fake/decisions              Replace the scripted decision rules
+ *   POST   /__fake/approvals/:id/decide   Decide an approval now: { status, note, decided_by }
+ *
+ * Fault: { method?, path?, status?, retryAfter?, headers?, latencyMs?, malformed?, times? }
+ *   Matches requests by method and path substring; `times` limits how often it fires.
+ *
+ * Decision rule: { match?, after?, status, note?, decided_by? }
+ *   Decides approvals whose title matches `match` (a regex) once they have
+ *   been fetched `after` times (default 1).
+ */
+
+import http from 'http';
+import fs from 'fs';
+import { createHash, randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { resolve } from 'path';
+
+const DEFAULT_LIMIT = 25;
+
+/**
+ * Create a fake BeeBoo API server
+ * @param {object} [options]
+ * @param {object|string} [options.fixtures] - Fixture document or path to a JSON file
+ * @param {object[]} [options.faults] - Initial fault list
+ * @param {object[]} [options.decisions] - Initial scripted decision rules
+ */
+export function createFakeApi(options = {}) {
+  let fixtures = loadFixtures(options.fixtures);
+  const state = {};
+
+  const fake = {
+    state,
+    url: null,
+
+    /**
+     * Restore the loaded fixtures and clear faults, decisions and the log
+     */
+    reset() {
+      state.knowledge = toMap(fixtures.knowledge);
+      state.approvals = toMap(fixtures.approvals);
+      state.requests = toMap(fixtures.requests);
+      state.idempotency = new Map();
+      state.polls = new Map();
+      state.log = [];
+      state.faults = [...(options.faults || [])];
+      state.decisions = [...(options.decisions || [])];
+      state.ignoredFilters = [];
+    },
+
+    loadFixtures(doc) {
+      fixtures = loadFixtures(doc);
+      fake.reset();
+    },
+
+    setFaults(faults) {
+      state.faults = faults.map(f => ({ ...f }));
+    },
+
+    /**
+     * Make the list endpoints ignore some query filters, e.g. ['key']
+     */
+    ignoreFilters(fields) {
+      state.ignoredFilters = [...fields];
+    },
+
+    setDecisions(decisions) {
+      state.decisions = decisions.map(d => ({ ...d }));
+    },
+
+    decide(id, decision) {
+      const approval = state.approvals.get(id);
+      if (!approval) return null;
+      Object.assign(approval, {
+        status: decision.status,
+        decision_note: decision.note ?? null,
+        decided_by: decision.decided_by ?? 'fake-approver',
+        decided_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      });
+      return approval;
+    },
+
+    /**
+     * Start listening; resolves with the base URL
+     */
+    async listen(port = 0, host = '127.0.0.1') {
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+      });
+      fake.url = `http://${host}:${server.address().port}`;
+      return fake.url;
+    },
+
+    close() {
+      return new Promise((resolve) => {
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+      });
+    },
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(fake, req, res).catch((err) => {
+      send(res, 500, { error: { message: err.message } });
+    });
+  });
+
+  fake.reset();
+  return fake;
+}
+
+/**
+ * Route a request
+ */
+async function handle(fake, req, res) {
+  const { state } = fake;
+  const url = new URL(req.url, 'http://localhost');
+  const raw = await readBody(req);
+  let body = null;
+  if (raw) {
+    try {
+      body = JSON.parse(raw);
+    } catch {
+      return send(res, 400, { error: { message: 'Invalid JSON body' } });
+    }
+  }
+
+  if (url.pathname.startsWith('/__fake/')) {
+    return handleControl(fake, req.method, url.pathname, body, res);
+  }
+
+  state.log.push({
+    method: req.method,
+    path: url.pathname,
+    query: Object.fromEntries(url.searchParams),
+    body,
+    headers: {
+      'authorization': req.headers.authorization,
+      'idempotency-key': req.headers['idempotency-key'],
+      'if-none-match': req.headers['if-none-match'],
+    },
+  });
+
+  if (await applyFault(state, req.method, url.pathname, res)) return;
+
+  if (!req.headers['x-api-key'] && !req.headers.authorization) {
+    return send(res, 401, { error: { message: 'Missing API key' } });
+  }
+
+  // Replay creates that carry a known Idempotency-Key
+  const idempotencyKey = req.headers['idempotency-key'];
+  if (req.method === 'POST' && idempotencyKey && state.idempotency.has(idempotencyKey)) {
+    const cached = state.idempotency.get(idempotencyKey);
+    return send(res, cached.status, cached.body);
+  }
+
+  const result = route(fake, req.method, url, body);
+
+  if (req.method === 'POST' && idempotencyKey && result.status < 300) {
+    state.idempotency.set(idempotencyKey, result);
+  }
+
+  // Reads carry an ETag, and a matching If-None-Match gets a 304
+  if (req.method === 'GET' && result.status === 200) {
+    const etag = `"${createHash('sha1').update(JSON.stringify(result.body)).digest('hex')}"`;
+    if (req.headers['if-none-match'] === etag) {
+      return send(res, 304, null, { ETag: etag });
+    }
+    return send(res, result.status, result.body, { ETag: etag });
+  }
+
+  send(res, result.status, result.body);
+}
+
+/**
+ * Dispatch an API route, returning { status, body }
+ */
+function route(fake, method, url, body) {
+  const { state } = fake;
+  const parts = url.pathname.replace(/^\/api\/v1\//, '').split('/').map(decodeURIComponent);
+  const query = Object.fromEntries(url.searchParams);
+  const [resource, id, sub] = parts;
+
+  // Knowledge
+  if (resource === 'knowledge') {
+    if (id === 'search' && method === 'POST') {
+      return ok(search(state.knowledge, body || {}));
+    }
+    if (id === 'namespaces' && method === 'GET') {
+      return ok(namespaces(state.knowledge));
+    }
+    if (id === 'entries') {
+      const entryId = sub;
+      if (!entryId && method === 'GET') return list(state.knowledge, query, state.ignoredFilters);
+      if (!entryId && method === 'POST') {
+        if (!body?.title || !body?.content) return error(400, 'title and content are required');
+        return created(insert(state.knowledge, { namespace: 'default', content_type: 'text', tags: [], ...body }));
+      }
+      return item(state.knowledge, entryId, method, body, 'Knowledge entry');
+    }
+  }
+
+  // Approvals
+  if (resource === 'approvals') {
+    if (!id && method === 'GET') return list(state.approvals, query, state.ignoredFilters);
+    if (!id && method === 'POST') {
+      if (!body?.title) return error(400, 'title is required');
+      return created(insert(state.approvals, { status: 'pending', ...body }));
+    }
+    if (id && !sub && method === 'GET') {
+      const approval = state.approvals.get(id);
+      if (!approval) return error(404, `Approval not found: ${id}`);
+      applyDecisions(fake, approval);
+      return ok(approval);
+    }
+    if (id && sub === 'decision' && method === 'POST') {
+      const approval = state.approvals.get(id);
+      if (!approval) return error(404, `Approval not found: ${id}`);
+      if (!['approved', 'denied'].includes(body?.status)) return error(400, 'status must be approved or denied');
+      if (approval.status !== 'pending') return error(409, `Approval is already ${approval.status}`);
+      return ok(Object.assign(fake.decide(id, { ...body, decided_by: 'api-key' }), { channel: body.channel ?? null }));
+    }
+    if (id && sub === 'cancel' && method === 'POST') {
+      const approval = state.approvals.get(id);
+      if (!approval) return error(404, `Approval not found: ${id}`);
+      if (approval.status !== 'pending') return error(409, `Approval is already ${approval.status}`);
+      Object.assign(approval, { status: 'cancelled', cancel_reason: body?.reason ?? null, updated_at: new Date().toISOString() });
+      return ok(approval);
+    }
+  }
+
+  // Work requests
+  if (resource === 'requests') {
+    if (!id && method === 'GET') return list(state.requests, query, state.ignoredFilters);
+    if (!id && method === 'POST') {
+      if (!body?.title) return error(400, 'title is required');
+      return created(insert(state.requests, { status: 'open', priority: 'medium', comments: [], ...body }));
+    }
+    if (id && sub === 'comments' && method === 'POST') {
+      const request = state.requests.get(id);
+      if (!request) return error(404, `Work request not found: ${id}`);
+      if (!body?.body) return error(400, 'body is required');
+      const comment = { id: randomUUID(), body: body.body, author: 'api-key', created_at: new Date().toISOString() };
+      request.comments = [...(request.comments || []), comment];
+      return created(comment);
+    }
+    if (id && !sub) return item(state.requests, id, method, body, 'Work request');
+  }
+
+  return error(404, `No route for ${method} ${url.pathname}`);
+}
+
+/**
+ * GET, PATCH or DELETE a single item in a collection
+ */
+function item(collection, id, method, body, label) {
+  const existing = collection.get(id);
+  if (!existing) return error(404, `${label} not found: ${id}`);
+
+  if (method === 'GET') return ok(existing);
+  if (method === 'PATCH') {
+    Object.assign(existing, body || {}, { id, updated_at: new Date().toISOString() });
+    return ok(existing);
+  }
+  if (method === 'DELETE') {
+    collection.delete(id);
+    return { status: 204, body: null };
+  }
+  return error(405, `Method not allowed: ${method}`);
+}
+
+/**
+ * Filter, sort and page a collection the way the list endpoints do
+ */
+function list(collection, query, ignored = []) {
+  let items = [...collection.values()];
+
+  for (const field of ['status', 'namespace', 'key']) {
+    if (query[field] && !ignored.includes(field)) items = items.filter(i => i[field] === query[field]);
+  }
+  if (query.created_after) {
+    const after = Date.parse(query.created_after);
+    items = items.filter(i => Date.parse(i.created_at) >= after);
+  }
+  if (query.created_before) {
+    const before = Date.parse(query.created_before);
+    items = items.filter(i => Date.parse(i.created_at) < before);
+  }
+
+  const sort = query.sort || '-created_at';
+  const field = sort.replace(/^-/, '');
+  const direction = sort.startsWith('-') ? -1 : 1;
+  items.sort((a, b) => String(a[field] ?? '').localeCompare(String(b[field] ?? '')) * direction);
+
+  const limit = Number(query.limit) || DEFAULT_LIMIT;
+  const offset = query.cursor ? Number(Buffer.from(query.cursor, 'base64url').toString()) : Number(query.offset) || 0;
+  const page = items.slice(offset, offset + limit);
+  const next = offset + limit < items.length ? Buffer.from(String(offset + limit)).toString('base64url') : null;
+
+  return {
+    status: 200,
+    body: { data: page, pagination: { next_cursor: next, total: items.length } },
+  };
+}
+
+/**
+ * Knowledge namespaces with entry counts
+ */
+function namespaces(collection) {
+  const counts = new Map();
+  for (const entry of collection.values()) {
+    counts.set(entry.namespace, (counts.get(entry.namespace) || 0) + 1);
+  }
+  return [...counts].map(([namespace, count]) => ({ namespace, count }));
+}
+
+/**
+ * Naive relevance search: score is the share of query terms present
+ */
+function search(collection, { query = '', limit = 10, tags, namespace, content_type, min_score = 0 }) {
+  const terms = String(query).toLowerCase().split(/\W+/).filter(Boolean);
+  if (terms.length === 0) return [];
+
+  return [...collection.values()]
+    .filter(entry => !tags || tags.every(tag => (entry.tags || []).includes(tag)))
+    .filter(entry => !namespace || entry.namespace === namespace)
+    .filter(entry => !content_type || entry.content_type === content_type)
+    .map((entry) => {
+      const haystack = `${entry.title || ''} ${entry.content || ''} ${(entry.tags || []).join(' ')}`.toLowerCase();
+      const hits = terms.filter(t => haystack.includes(t)).length;
+      return { ...entry, score: hits / terms.length };
+    })
+    .filter(r => r.score > 0 && r.score >= min_score)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Decide an approval once a scripted rule's poll count is reached
+ */
+function applyDecisions(fake, approval) {
+  const { state } = fake;
+  const polls = (state.polls.get(approval.id) || 0) + 1;
+  state.polls.set(approval.id, polls);
+
+  if (approval.status !== 'pending') return;
+
+  const rule = state.decisions.find(d => !d.match || new RegExp(d.match, 'i').test(approval.title || ''));
+  if (rule && polls >= (rule.after ?? 1)) {
+    fake.decide(approval.id, rule);
+  }
+}
+
+/**
+ * Fire the first matching fault, if any; returns true if it sent a response
+ */
+async function applyFault(state, method, path, res) {
+  const fault = state.faults.find(f =>
+    (!f.method || f.method === method) && (!f.path || path.includes(f.path)) && (f.times ?? Infinity) > 0
+  );
+  if (!fault) return false;
+
+  if (fault.times !== undefined) fault.times--;
+  if (fault.latencyMs) await new Promise(r => setTimeout(r, fault.latencyMs));
+
+  if (fault.malformed) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{"data": [{"id": ');
+    return true;
+  }
+  if (fault.status) {
+    const headers = { ...fault.headers };
+    if (fault.retryAfter !== undefined) headers['Retry-After'] = String(fault.retryAfter);
+    send(res, fault.status, { error: { message: `Injected fault: HTTP ${fault.status}` } }, headers);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Handle /__fake/* control routes
+ */
+function handleControl(fake, method, path, body, res) {
+  if (path === '/__fake/state' && method === 'GET') {
+    return send(res, 200, {
+      knowledge: [...fake.state.knowledge.values()],
+      approvals: [...fake.state.approvals.values()],
+      requests: [...fake.state.requests.values()],
+      faults: fake.state.faults,
+      decisions: fake.state.decisions,
+      log: fake.state.log,
+    });
+  }
+  if (path === '/__fake/reset' && method === 'POST') {
+    fake.reset();
+    return send(res, 204, null);
+  }
+  if (path === '/__fake/fixtures' && method === 'POST') {
+    fake.loadFixtures(body || {});
+    return send(res, 204, null);
+  }
+  if (path === '/__fake/faults' && method === 'POST') {
+    fake.setFaults(Array.isArray(body) ? body : []);
+    return send(res, 204, null);
+  }
+  if (path === '/__fake/decisions' && method === 'POST') {
+    fake.setDecisions(Array.isArray(body) ? body : []);
+    return send(res, 204, null);
+  }
+
+  const decide = path.match(/^\/__fake\/approvals\/([^/]+)\/decide$/);
+  if (decide && method === 'POST') {
+    const approval = fake.decide(decodeURIComponent(decide[1]), body || { status: 'approved' });
+    return approval ? send(res, 200, { data: approval }) : send(res, 404, { error: { message: 'Approval not found' } });
+  }
+
+  send(res, 404, { error: { message: `No control route for ${method} ${path}` } });
+}
+
+/**
+ * Normalize a fixture document (object, path, or nothing)
+ */
+function loadFixtures(source) {
+  const doc = typeof source === 'string' ? JSON.parse(fs.readFileSync(source, 'utf8')) : (source || {});
+  return {
+    knowledge: doc.knowledge || [],
+    approvals: doc.approvals || [],
+    requests: doc.requests || [],
+  };
+}
+
+function toMap(items) {
+  const now = new Date().toISOString();
+  return new Map(items.map((item) => {
+    const copy = structuredClone(item);
+    copy.id ??= randomUUID();
+    copy.created_at ??= now;
+    copy.updated_at ??= copy.created_at;
+    return [copy.id, copy];
+  }));
+}
+
+function insert(collection, fields) {
+  const now = new Date().toISOString();
+  const record = { ...fields, id: randomUUID(), created_at: now, updated_at: now };
+  collection.set(record.id, record);
+  return record;
+}
+
+function ok(data) {
+  return { status: 200, body: { data } };
+}
+
+function created(data) {
+  return { status: 201, body: { data } };
+}
+
+function error(status, message) {
+  return { status, body: { error: { message } } };
+}
+
+function send(res, status, body, headers = {}) {
+  if (body === null) {
+    res.writeHead(status, headers);
+    res.end();
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+// Run standalone: node test/fake-api.js [--port N] [--fixtures file.json]
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const i = args.indexOf(name);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+
+  const fake = createFakeApi({ fixtures: option('--fixtures') });
+  const url = await fake.listen(Number(option('--port') || 4010));
+  console.log(`Fake BeeBoo API listening on ${url}`);
+  console.log(`Use: BEEBOO_API_URL=${url} BEEBOO_API_KEY=bb_sk_fake node index.js`);
+}